@@ -0,0 +1,95 @@
+/**
+ * Write .actor/input_schema.json from the operation registry, so the Actor input
+ * form offers exactly the operations and fields the code accepts.
+ * With --check, only report whether the committed schema is up to date.
+ */
+import { readFile, writeFile } from 'fs/promises';
+import { OPERATIONS } from '../src/operations.js';
+import { INPUT_FIELDS } from '../src/fields.js';
+import { SOURCE_FIELDS, OUTPUT_FIELDS } from '../src/actor-fields.js';
+
+const SCHEMA_PATH = new URL('../.actor/input_schema.json', import.meta.url);
+
+// Actor-only fields go in front of these operation fields in the form
+const PLACE_BEFORE = {
+    chunkSize: SOURCE_FIELDS,
+    includeMetadata: OUTPUT_FIELDS,
+};
+
+// Value lists are written on one line when they fit
+const INLINE_WIDTH = 120;
+
+/**
+ * Input schema property of a field; items only describe MCP tool arguments
+ */
+function toProperty({ items, ...property }) {
+    return property;
+}
+
+function buildInputSchema() {
+    const properties = {
+        operation: {
+            title: 'Operation',
+            type: 'string',
+            description: 'Select the operation to perform',
+            enum: OPERATIONS.map(operation => operation.name),
+            enumTitles: OPERATIONS.map(operation => operation.title),
+            default: 'generate',
+            editor: 'select',
+        },
+    };
+
+    for (const [key, field] of Object.entries(INPUT_FIELDS)) {
+        Object.entries(PLACE_BEFORE[key] || {}).forEach(([actorKey, actorField]) => {
+            properties[actorKey] = toProperty(actorField);
+        });
+        properties[key] = toProperty(field);
+    }
+
+    return {
+        title: 'UUID Generator Input',
+        type: 'object',
+        schemaVersion: 1,
+        properties,
+        required: ['operation'],
+    };
+}
+
+/**
+ * JSON with 2-space indentation, keeping enum and required lists (and other
+ * short lists of plain values) on one line like the hand-written schema did
+ */
+function toJSON(value, key = '', indent = '') {
+    const inner = `${indent}  `;
+
+    if (Array.isArray(value)) {
+        const inline = `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        const plain = value.every(item => item === null || typeof item !== 'object');
+        if (plain && (key === 'enum' || key === 'required' || indent.length + key.length + inline.length + 4 <= INLINE_WIDTH)) {
+            return inline;
+        }
+        return `[\n${value.map(item => `${inner}${toJSON(item, '', inner)}`).join(',\n')}\n${indent}]`;
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([name, item]) => `${inner}${JSON.stringify(name)}: ${toJSON(item, name, inner)}`);
+        return `{\n${entries.join(',\n')}\n${indent}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+const content = `${toJSON(buildInputSchema())}\n`;
+
+if (process.argv.includes('--check')) {
+    const current = await readFile(SCHEMA_PATH, 'utf8');
+    if (current !== content) {
+        console.error('.actor/input_schema.json is out of date; run npm run build:schema');
+        process.exit(1);
+    }
+    console.log('.actor/input_schema.json is up to date');
+} else {
+    await writeFile(SCHEMA_PATH, content);
+    console.log('Wrote .actor/input_schema.json');
+}
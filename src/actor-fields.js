@@ -0,0 +1,97 @@
+import { SOURCE_FORMATS } from './sources.js';
+import { OUTPUT_FORMATS, SQL_DIALECTS, SQL_STATEMENTS } from './formats.js';
+
+/**
+ * Actor inputs that name where batch operations read their UUIDs from, instead
+ * of the uuids array. Only the Actor has storage to read from, so these have no
+ * MCP counterpart.
+ */
+export const SOURCE_FIELDS = {
+    sourceDatasetId: {
+        title: 'Source Dataset (for Batch Operations)',
+        type: 'string',
+        description: 'ID or name of a dataset to read UUIDs from instead of the UUIDs array. Collision checks over a source use bounded memory',
+        editor: 'textfield',
+    },
+    sourceKeyValueStoreId: {
+        title: 'Source Key-Value Store (for Batch Operations)',
+        type: 'string',
+        description: 'ID or name of the key-value store holding the source record (defaults to the run\'s store)',
+        editor: 'textfield',
+    },
+    sourceRecordKey: {
+        title: 'Source Record Key (for Batch Operations)',
+        type: 'string',
+        description: 'Key of a key-value store record (plain text, CSV, NDJSON or JSON) to read UUIDs from instead of the UUIDs array',
+        editor: 'textfield',
+    },
+    sourceFile: {
+        title: 'Source File (for Batch Operations)',
+        type: 'string',
+        description: 'Uploaded plain text, CSV, NDJSON or JSON file to read UUIDs from instead of the UUIDs array',
+        editor: 'fileupload',
+    },
+    sourceFormat: {
+        title: 'Source Format',
+        type: 'string',
+        description: 'Format of the source record or file. Auto detects it from the content type, file extension or first line',
+        enum: SOURCE_FORMATS,
+        enumTitles: ['Auto detect', 'Plain text (one UUID per line)', 'CSV', 'NDJSON (one JSON object per line)', 'JSON array'],
+        default: 'auto',
+    },
+    sourceField: {
+        title: 'Source Field',
+        type: 'string',
+        description: 'Where the UUID is in each row: a field or JSON path (user.id, items[0].uuid) for datasets, NDJSON and JSON, or a header name / 0-based column index for CSV',
+        default: 'uuid',
+        editor: 'textfield',
+    },
+};
+
+/**
+ * Actor inputs for the records every operation exports
+ */
+export const OUTPUT_FIELDS = {
+    outputFormat: {
+        title: 'Output Format',
+        type: 'string',
+        description: 'Format for UUID output',
+        enum: OUTPUT_FORMATS,
+        enumTitles: [
+            'JSON (Structured data with metadata)',
+            'CSV (Comma-separated values)',
+            'Plain Text (One UUID per line)',
+            'NDJSON (One JSON document per line)',
+            'YAML',
+            'XML',
+            'SQL (CREATE TABLE and INSERT/COPY script)',
+            'Apache Arrow (IPC file)',
+        ],
+        default: 'json',
+        editor: 'select',
+    },
+    sqlDialect: {
+        title: 'SQL Dialect (for SQL output)',
+        type: 'string',
+        description: 'Database the SQL script is written for',
+        enum: SQL_DIALECTS,
+        enumTitles: ['PostgreSQL', 'MySQL', 'SQL Server'],
+        default: 'postgres',
+        editor: 'select',
+    },
+    sqlTable: {
+        title: 'SQL Table (for SQL output)',
+        type: 'string',
+        description: 'Table to create and load, optionally schema-qualified (e.g. audit.uuids). Defaults to the result key in lowercase, e.g. output or batch_validation.',
+        editor: 'textfield',
+    },
+    sqlStatement: {
+        title: 'SQL Load Statement (for SQL output)',
+        type: 'string',
+        description: 'Load rows with multi-row INSERT statements, or with a COPY ... FROM stdin block (PostgreSQL only)',
+        enum: SQL_STATEMENTS,
+        enumTitles: ['INSERT', 'COPY (PostgreSQL)'],
+        default: 'insert',
+        editor: 'select',
+    },
+};
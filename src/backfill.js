@@ -0,0 +1,235 @@
+import { randomBytes } from 'crypto';
+import { v1 as uuidv1, v6 as uuidv6, stringify } from 'uuid';
+import { buildV8UUID } from './layout.js';
+import { generateULID, monotonicFactory } from './ulid.js';
+
+// Versions that embed a generation time
+export const BACKFILL_VERSIONS = ['v1', 'v6', 'v7', 'v8', 'ulid'];
+
+export const BACKFILL_DISTRIBUTIONS = ['even', 'random'];
+
+// Timestamps are handled in 100-nanosecond ticks since the Unix epoch, the v1/v6 resolution
+const TICKS_PER_MS = 10000n;
+
+// Difference between the Gregorian (1582-10-15) and Unix epochs in ticks
+const GREGORIAN_OFFSET = 122192928000000000n;
+
+// v1/v6 hold 60-bit Gregorian ticks; v7/ULID hold 48-bit Unix milliseconds
+const MAX_GREGORIAN_TICKS = (1n << 60n) - 1n;
+const MAX_UNIX_MS = 2 ** 48 - 1;
+
+const MAX_CLOCK_SEQUENCE = 0x3FFF;
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Parse an instant given as Unix milliseconds or an ISO 8601 string into ticks.
+ * ISO strings may carry up to 7 fractional second digits (100 ns).
+ */
+export function parseInstant(value, name = 'timestamp') {
+    if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value.trim()))) {
+        const ms = Number(value);
+        if (!Number.isFinite(ms)) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return BigInt(Math.round(ms * 10000));
+    }
+
+    const text = String(value).trim();
+    const match = text.match(/^(.+T\d{2}:\d{2}:\d{2})\.(\d+)(.*)$/i);
+    if (match && match[2].length > 7) {
+        throw new Error(`Invalid ${name}: ${value} (at most 7 fractional second digits, i.e. 100 ns)`);
+    }
+
+    const ms = new Date(match ? `${match[1]}${match[3]}` : text).getTime();
+    if (!Number.isFinite(ms)) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    const fraction = match ? BigInt(match[2].padEnd(7, '0')) : 0n;
+    return BigInt(ms) * TICKS_PER_MS + fraction;
+}
+
+/**
+ * Parse a 48-bit node ID written as 12 hex digits, optionally separated by ':' or '-'
+ */
+export function parseNodeId(value) {
+    const hex = String(value).trim().replace(/[:-]/g, '');
+    if (!/^[0-9a-f]{12}$/i.test(hex)) {
+        throw new Error(`Invalid node ID: ${value}. Use 12 hex digits, e.g. 01:23:45:67:89:ab`);
+    }
+    return hex.match(/../g).map(octet => parseInt(octet, 16));
+}
+
+/**
+ * Whole milliseconds of a tick value, rounding towards the past
+ */
+function ticksToMs(ticks) {
+    const ms = ticks / TICKS_PER_MS;
+    return Number(ticks < 0n && ticks % TICKS_PER_MS !== 0n ? ms - 1n : ms);
+}
+
+/**
+ * Uniformly random offset in [0, span], from 128 random bits
+ */
+function randomOffset(span, random) {
+    const value = BigInt(`0x${random(16).toString('hex')}`);
+    return value % (span + 1n);
+}
+
+/**
+ * Plan the instants (in ticks) of count UUIDs: all at one timestamp, or spread
+ * over the inclusive range [from, to] evenly or uniformly at random. Random
+ * instants are sorted, so the output is in chronological order either way.
+ */
+export function planInstants(options) {
+    const { timestamp, from, to, distribution = 'even', count, random = randomBytes } = options;
+
+    if (isSet(timestamp)) {
+        return new Array(count).fill(parseInstant(timestamp));
+    }
+
+    if (!BACKFILL_DISTRIBUTIONS.includes(distribution)) {
+        throw new Error(`Unsupported distribution: ${distribution}. Use one of: ${BACKFILL_DISTRIBUTIONS.join(', ')}`);
+    }
+    if (!isSet(from) || !isSet(to)) {
+        throw new Error('A timestamp range needs both a start (timestampFrom) and an end (timestampTo)');
+    }
+
+    const start = parseInstant(from, 'range start');
+    const end = parseInstant(to, 'range end');
+    if (start > end) {
+        throw new Error('The timestamp range start must not be after its end');
+    }
+
+    const span = end - start;
+    if (distribution === 'random') {
+        return Array.from({ length: count }, () => start + randomOffset(span, random))
+            .sort((a, b) => (a === b ? 0 : (a < b ? -1 : 1)));
+    }
+    return Array.from({ length: count }, (_, i) => (count === 1 ? start : start + span * BigInt(i) / BigInt(count - 1)));
+}
+
+/**
+ * Check that every planned instant fits the timestamp field of the version
+ */
+function checkRange(version, instants) {
+    const first = instants.reduce((min, t) => (t < min ? t : min));
+    const last = instants.reduce((max, t) => (t > max ? t : max));
+
+    if (version === 'v1' || version === 'v6') {
+        if (first + GREGORIAN_OFFSET < 0n || last + GREGORIAN_OFFSET > MAX_GREGORIAN_TICKS) {
+            throw new Error(`UUID ${version} timestamps must lie between 1582-10-15 and 5236-03-31`);
+        }
+    } else if (ticksToMs(first) < 0 || ticksToMs(last) > MAX_UNIX_MS) {
+        throw new Error(`UUID ${version} timestamps must lie between 1970-01-01 and 10889-08-02`);
+    }
+}
+
+/**
+ * Create a generator of time-based UUIDs whose embedded time is a given
+ * historical instant, for backfilling records with their original creation date.
+ *
+ * The instants come from planInstants(); see there for timestamp, from, to and
+ * distribution. v1/v6 keep the full 100 ns precision and use nodeId and
+ * clockSequence when given, otherwise a random node ID (multicast bit set) and
+ * clock sequence. v1/v6 UUIDs that share an instant get consecutive clock
+ * sequences so they stay unique. v7, v8 and ULID store whole milliseconds.
+ * options.random(size) replaces the system CSPRNG, e.g. with a seeded source;
+ * options.planRandom(size), when given, draws the random instants instead, so a
+ * resumed run can plan the same ones again.
+ */
+export function createBackfillGenerator(version, options = {}) {
+    const { count = 1, nodeId, clockSequence, layout, monotonic = false, random = randomBytes, planRandom } = options;
+
+    if (!BACKFILL_VERSIONS.includes(version)) {
+        throw new Error(`UUID ${version} has no timestamp to backfill (time-based versions: ${BACKFILL_VERSIONS.join(', ')})`);
+    }
+    if (version === 'v8' && !(layout || []).some(field => field.type === 'timestamp')) {
+        throw new Error('The v8 layout needs a timestamp field to backfill');
+    }
+    if (isSet(clockSequence)
+        && !(Number.isInteger(clockSequence) && clockSequence >= 0 && clockSequence <= MAX_CLOCK_SEQUENCE)) {
+        throw new Error(`Clock sequence must be an integer between 0 and ${MAX_CLOCK_SEQUENCE}`);
+    }
+
+    const instants = planInstants({ ...options, count, random: planRandom || random });
+    checkRange(version, instants);
+
+    const nextULID = monotonic ? monotonicFactory(random) : now => generateULID(now, random);
+    let timeBased = null;
+    let previous = null;
+    let repeats = 0;
+    let index = 0;
+    let current = null;
+
+    // Node ID and clock sequence are chosen once, like a single generator would
+    const timeBasedOptions = (ticks) => {
+        if (!timeBased) {
+            let node = isSet(nodeId) ? parseNodeId(nodeId) : null;
+            if (!node) {
+                node = [...random(6)];
+                node[0] |= 0x01;
+            }
+            timeBased = {
+                node,
+                clockseq: isSet(clockSequence) ? clockSequence : random(2).readUInt16BE(0) & MAX_CLOCK_SEQUENCE,
+            };
+        }
+
+        repeats = ticks === previous ? repeats + 1 : 0;
+        previous = ticks;
+        if (repeats > 0 && isSet(clockSequence)) {
+            throw new Error(`Cannot generate two UUID ${version} at the same 100 ns instant with a fixed clock sequence; widen the range or leave the clock sequence out`);
+        }
+        if (repeats > MAX_CLOCK_SEQUENCE) {
+            throw new Error(`Cannot generate more than ${MAX_CLOCK_SEQUENCE + 1} UUID ${version} at the same 100 ns instant`);
+        }
+
+        const msecs = ticksToMs(ticks);
+        return {
+            node: timeBased.node,
+            clockseq: (timeBased.clockseq + repeats) & MAX_CLOCK_SEQUENCE,
+            msecs,
+            nsecs: Number(ticks - BigInt(msecs) * TICKS_PER_MS),
+        };
+    };
+
+    return {
+        /**
+         * Generate the UUID for the next planned instant
+         */
+        next() {
+            if (index >= instants.length) {
+                throw new Error(`All ${instants.length} planned timestamps have been used`);
+            }
+            current = instants[index++];
+            const now = ticksToMs(current);
+
+            switch (version) {
+                case 'v1':
+                    return uuidv1(timeBasedOptions(current));
+                case 'v6':
+                    return uuidv6(timeBasedOptions(current));
+                case 'v7': {
+                    // 48-bit Unix milliseconds, then version 7 and the RFC variant over random bits
+                    const bytes = random(16);
+                    bytes.writeUIntBE(now, 0, 6);
+                    bytes[6] = 0x70 | (bytes[6] & 0x0F);
+                    bytes[8] = 0x80 | (bytes[8] & 0x3F);
+                    return stringify(bytes);
+                }
+                case 'v8':
+                    return buildV8UUID(layout, { now, random });
+                default:
+                    return nextULID(now);
+            }
+        },
+
+        /**
+         * ISO timestamp embedded in the last generated UUID
+         */
+        timestamp() {
+            return new Date(ticksToMs(current === null ? instants[0] : current)).toISOString();
+        },
+    };
+}
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+import { createRequire } from 'module';
+import { parseArgs, format } from 'util';
+import { OPERATIONS, commandName, optionName, parseArguments, toolInputSchema } from './operations.js';
+import { openNamespaceRegistry, localNamespaceStore } from './namespaces.js';
+
+const require = createRequire(import.meta.url);
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+const CLI_FORMATS = ['text', 'json', 'csv'];
+
+// Exit codes: the input failed the check (invalid UUIDs, duplicates), or the command could not run
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Shorter names for commands used often in pipelines
+const COMMAND_ALIASES = { stats: 'statistics' };
+
+// Arguments that take the command's input, from the positional arguments or stdin
+const INPUT_ARGS = ['uuid', 'uuids', 'names', 'text'];
+
+/**
+ * Results that make the command exit with EXIT_FAILED
+ */
+const FAILURES = {
+    validate: result => !result.valid,
+    analyze: result => !result.valid,
+    batch_validate: result => result.invalid > 0,
+    check_collisions: result => result.duplicates > 0,
+};
+
+/**
+ * Text output of the commands whose result is one value per line, ready for the
+ * next command in a pipeline; the others print the Actor's report
+ */
+const TEXT_LINES = {
+    generate: result => result.uuids,
+    validate: result => [`${result.uuid}: ${result.message}`],
+    convert: result => [result.converted],
+    sort: result => result.sorted.map(entry => entry.uuid),
+    name_mapping: result => result.mappings.map(mapping => `${mapping.name}\t${mapping.uuid}`),
+    extract: result => result.matches.map(match => match.uuid),
+};
+
+const print = (...args) => process.stdout.write(`${format(...args)}\n`);
+
+// Warnings go to stderr so they never mix with the data on stdout
+const context = {
+    log: () => {},
+    warn: message => process.stderr.write(`Warning: ${message}\n`),
+};
+
+/**
+ * Error for a malformed command line; the usage is printed along with it
+ */
+class UsageError extends Error {}
+
+/**
+ * Find the operation of a command name or alias
+ */
+function findCommand(command) {
+    const name = COMMAND_ALIASES[command] || command;
+    return OPERATIONS.find(operation => commandName(operation) === name);
+}
+
+/**
+ * Required parameter of an operation that takes its input, if any
+ */
+function inputParameter(operation) {
+    return operation.params.find(parameter => parameter.required && INPUT_ARGS.includes(parameter.arg));
+}
+
+function usage() {
+    const commands = OPERATIONS.map((operation) => {
+        const alias = Object.keys(COMMAND_ALIASES).find(key => COMMAND_ALIASES[key] === commandName(operation));
+        const name = alias ? `${commandName(operation)}, ${alias}` : commandName(operation);
+        return `  ${name.padEnd(24)}${operation.title.split(' - ')[1]}`;
+    });
+
+    return [
+        'Usage: uuid <command> [options] [input...]',
+        '       uuid --help | --version',
+        '',
+        'Commands:',
+        ...commands,
+        '',
+        'UUIDs, names and text are read from the arguments or, when there are none, from stdin',
+        '(one UUID per line). Run "uuid <command> --help" for the options of a command.',
+        '',
+        'Exit status: 0 on success, 1 when the input fails the check (invalid UUIDs,',
+        'duplicates), 2 on errors.',
+    ].join('\n');
+}
+
+function commandUsage(operation) {
+    const { properties, required = [] } = toolInputSchema(operation);
+    const input = inputParameter(operation);
+    const lines = [
+        `Usage: uuid ${commandName(operation)} [options]${input ? ` [${input.arg}...]` : ''}`,
+        '',
+        operation.description,
+        '',
+        'Options:',
+    ];
+
+    for (const [arg, schema] of Object.entries(properties)) {
+        if (input && arg === input.arg) {
+            continue;
+        }
+        const value = schema.type === 'boolean' ? '' : ` <${schema.type === 'array' ? 'value' : schema.type}>`;
+        const details = [
+            schema.enum && `one of: ${schema.enum.join(', ')}`,
+            schema.default !== undefined && schema.default !== false && `default: ${schema.default}`,
+            required.includes(arg) && 'required',
+        ].filter(Boolean);
+        lines.push(`  --${optionName(arg)}${value}`);
+        lines.push(`      ${schema.description}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+    }
+    lines.push(`  -f, --format <format>\n      Output format (one of: ${CLI_FORMATS.join(', ')}; default: text)`);
+    lines.push('  -h, --help\n      Show this help');
+
+    return lines.join('\n');
+}
+
+/**
+ * parseArgs options of an operation's arguments. Arrays of objects (v8 layouts)
+ * are passed as one JSON option, other arrays by repeating the option.
+ */
+function commandOptions(operation) {
+    const { properties } = toolInputSchema(operation);
+    const options = {
+        format: { type: 'string', short: 'f', default: 'text' },
+        help: { type: 'boolean', short: 'h' },
+    };
+
+    for (const [arg, schema] of Object.entries(properties)) {
+        options[optionName(arg)] = {
+            type: schema.type === 'boolean' ? 'boolean' : 'string',
+            multiple: schema.type === 'array' && schema.items?.type !== 'object',
+        };
+    }
+    return options;
+}
+
+/**
+ * Turn option strings into the types of their arguments; values that do not
+ * convert are left for parseArguments to reject
+ */
+function convertOptions(operation, values) {
+    const { properties } = toolInputSchema(operation);
+    const raw = {};
+
+    for (const [arg, schema] of Object.entries(properties)) {
+        const key = optionName(arg);
+        const value = values[key];
+        if (value === undefined) {
+            continue;
+        }
+
+        if (schema.type === 'integer' || schema.type === 'number') {
+            const number = Number(value);
+            raw[key] = value.trim() !== '' && !Number.isNaN(number) ? number : value;
+        } else if (schema.type === 'array' && schema.items?.type === 'object') {
+            try {
+                raw[key] = JSON.parse(value);
+            } catch {
+                throw new UsageError(`Invalid --${key}: expected a JSON array`);
+            }
+        } else {
+            raw[key] = value;
+        }
+    }
+    return raw;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const toLines = text => text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+
+/**
+ * Read the input of a command: the positional arguments or else stdin. UUIDs
+ * come one per line; names keep their lines for CSV parsing; text is taken whole.
+ */
+async function readInput(input, positionals) {
+    if (positionals.length > 0) {
+        return input.arg === 'text' ? positionals.join(' ') : positionals;
+    }
+    if (process.stdin.isTTY) {
+        throw new UsageError(`No ${input.arg} given: pass them as arguments or pipe them on stdin`);
+    }
+
+    const text = await readStdin();
+    return ['names', 'text'].includes(input.arg) ? text : toLines(text);
+}
+
+/**
+ * Rows of the CSV output: one per generated UUID or per item of the result's list
+ */
+function csvRows(operation, result) {
+    if (operation.name === 'generate') {
+        return result.uuids.map((uuid, i) => ({ uuid, ...(result.timestamps && { timestamp: result.timestamps[i] }) }));
+    }
+    const { rowsKey } = operation.output;
+    return rowsKey ? result[rowsKey] : [result];
+}
+
+/**
+ * Write the results of a command in the requested format. Commands that take one
+ * UUID ran once per input UUID, so they have a result per UUID.
+ */
+async function writeResults(operation, results, outputFormat, args) {
+    const data = results.length === 1 ? results[0] : results;
+
+    if (outputFormat === 'json') {
+        print(JSON.stringify(data, null, 2));
+    } else if (outputFormat === 'csv') {
+        // The output formats pull in Arrow and YAML, so load them only when needed
+        const { formatOutput } = await import('./formats.js');
+        const rows = results.flatMap(result => csvRows(operation, result));
+        print(formatOutput(rows, 'csv').content);
+    }
+
+    const lines = TEXT_LINES[operation.name];
+    for (const result of results) {
+        if (outputFormat === 'text' && lines) {
+            lines(result).forEach(line => print(line));
+        }
+        if (operation.report) {
+            operation.report(result, args, { ...context, log: outputFormat === 'text' && !lines ? print : context.log });
+        }
+    }
+}
+
+/**
+ * Run a command line and return its exit status
+ */
+async function run(argv) {
+    const [command, ...rest] = argv;
+    if (!command) {
+        process.stderr.write(`${usage()}\n`);
+        return EXIT_ERROR;
+    }
+    if (command === '--help' || command === '-h') {
+        print(usage());
+        return 0;
+    }
+    if (command === '--version') {
+        print(PACKAGE_VERSION);
+        return 0;
+    }
+
+    const operation = findCommand(command);
+    if (!operation) {
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rest, options: commandOptions(operation), allowPositionals: true });
+    } catch (error) {
+        if (rest.includes('--version')) {
+            throw new UsageError('Use --uuid-version to choose the UUID version; "uuid --version" prints the version of this tool');
+        }
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        print(commandUsage(operation));
+        return 0;
+    }
+    if (!CLI_FORMATS.includes(values.format)) {
+        throw new UsageError(`Invalid --format: ${values.format}. Use one of: ${CLI_FORMATS.join(', ')}`);
+    }
+
+    const raw = convertOptions(operation, values);
+    const input = inputParameter(operation);
+    if (input) {
+        raw[optionName(input.arg)] = await readInput(input, positionals);
+    } else if (positionals.length > 0) {
+        throw new UsageError(`${commandName(operation)} takes no positional arguments`);
+    }
+
+    // Single-UUID commands run once per input UUID
+    const inputs = input && input.arg === 'uuid' ? raw.uuid : [undefined];
+    if (inputs.length === 0) {
+        throw new UsageError('No UUIDs given on stdin');
+    }
+
+    // Custom namespaces live in a local file (UUID_NAMESPACES_FILE)
+    const runContext = operation.namespaces
+        ? { ...context, namespaces: await openNamespaceRegistry(localNamespaceStore()) }
+        : context;
+
+    let args;
+    const results = [];
+    for (const uuid of inputs) {
+        args = parseArguments(operation, uuid === undefined ? raw : { ...raw, uuid }, { surface: 'cli' });
+        results.push(await operation.run(args, runContext));
+    }
+
+    await writeResults(operation, results, values.format, args);
+
+    const failed = FAILURES[operation.name];
+    return failed && results.some(failed) ? EXIT_FAILED : 0;
+}
+
+// A closed pipe (e.g. uuid generate | head) just ends the output
+process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') {
+        process.exit(process.exitCode ?? 0);
+    }
+    throw error;
+});
+
+try {
+    process.exitCode = await run(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    if (error instanceof UsageError) {
+        process.stderr.write('Run "uuid --help" for usage.\n');
+    }
+    process.exitCode = EXIT_ERROR;
+}
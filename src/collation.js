@@ -0,0 +1,153 @@
+import { convertUUIDFormat } from './utils.js';
+import { encodeUUID } from './encodings.js';
+import { parseUUID } from './parser.js';
+
+// SQL Server compares uniqueidentifier bytes (in Guid.ToByteArray() order) by this significance
+const SQLSERVER_BYTE_ORDER = [10, 11, 12, 13, 14, 15, 8, 9, 6, 7, 4, 5, 0, 1, 2, 3];
+
+/**
+ * Sort key (hex string, compared as bytes) of a UUID in each database's native storage
+ */
+const COLLATIONS = {
+    postgres: {
+        description: 'PostgreSQL uuid: big-endian bytes, the same order as the canonical text',
+        key: uuid => convertUUIDFormat(uuid, { removeDashes: true, strict: false }),
+    },
+    mysql: {
+        description: 'MySQL BINARY(16) from UUID_TO_BIN(uuid): big-endian bytes',
+        key: uuid => encodeUUID(uuid, 'hex_blob', { strict: false }).slice(2).toLowerCase(),
+    },
+    mysql_swap: {
+        description: 'MySQL BINARY(16) from UUID_TO_BIN(uuid, 1): time_high, time_mid and time_low first, so v1 UUIDs sort by time',
+        key: uuid => encodeUUID(uuid, 'hex_blob_swap', { strict: false }).slice(2).toLowerCase(),
+    },
+    sqlserver: {
+        description: 'SQL Server uniqueidentifier: last 6 bytes first, then bytes 8-9, then the first three groups with their bytes reversed',
+        key: (uuid) => {
+            const bytes = encodeUUID(uuid, 'hex_blob_le', { strict: false }).slice(2).toLowerCase().match(/../g);
+            return SQLSERVER_BYTE_ORDER.map(i => bytes[i]).join('');
+        },
+    },
+};
+
+export const COLLATION_NAMES = Object.keys(COLLATIONS);
+
+/**
+ * Sort key of a UUID under a collation; keys compare as plain strings
+ */
+export function collationKey(uuid, collation) {
+    const entry = COLLATIONS[collation];
+    if (!entry) {
+        throw new Error(`Unsupported collation: ${collation}. Use one of: ${COLLATION_NAMES.join(', ')}`);
+    }
+    return entry.key(uuid);
+}
+
+/**
+ * How an index on the keys would grow if rows were inserted in input order.
+ * An append lands after every existing key; any other insert goes into the
+ * middle of the index and can split a page. meanInsertPosition averages the share of
+ * existing keys at or below the new one (1 = append, about 0.5 = random).
+ */
+function measureInsertOrder(entries, sorted) {
+    // Dense rank of each entry in sort order (equal keys share a rank)
+    const ranks = new Array(entries.length);
+    let rank = 0;
+    sorted.forEach((entry, i) => {
+        if (i > 0 && entry.key !== sorted[i - 1].key) {
+            rank++;
+        }
+        ranks[entry.position] = rank + 1;
+    });
+
+    // Fenwick tree counting the inserted keys per rank
+    const tree = new Array(rank + 2).fill(0);
+    const add = (i) => {
+        for (; i < tree.length; i += i & -i) {
+            tree[i]++;
+        }
+    };
+    const countUpTo = (i) => {
+        let sum = 0;
+        for (; i > 0; i -= i & -i) {
+            sum += tree[i];
+        }
+        return sum;
+    };
+
+    let appends = 0;
+    let positionSum = 0;
+    entries.forEach((entry, inserted) => {
+        const r = ranks[entry.position];
+        if (inserted > 0) {
+            const atOrBelow = countUpTo(r);
+            if (atOrBelow === inserted) {
+                appends++;
+            }
+            positionSum += atOrBelow / inserted;
+        }
+        add(r);
+    });
+
+    const inserts = Math.max(entries.length - 1, 0);
+    return {
+        appends,
+        outOfOrderInserts: inserts - appends,
+        outOfOrderRatio: inserts > 0 ? (inserts - appends) / inserts : 0,
+        meanInsertPosition: inserts > 0 ? positionSum / inserts : 1,
+    };
+}
+
+/**
+ * Sort a collection of UUIDs as a database orders them in its native UUID storage
+ * (postgres, mysql, mysql_swap or sqlserver). Equal UUIDs keep their input order.
+ *
+ * Besides the sorted list, reports whether the input was already in order and how
+ * an index would fragment if the UUIDs were inserted in input order. Any 128-bit
+ * value is accepted (GUIDs with the Microsoft variant included), in any of the
+ * wrappings Validate accepts; invalid entries are reported and left out.
+ */
+export function sortUUIDs(uuids, options = {}) {
+    const { collation = 'postgres' } = options;
+    if (!COLLATIONS[collation]) {
+        throw new Error(`Unsupported collation: ${collation}. Use one of: ${COLLATION_NAMES.join(', ')}`);
+    }
+
+    const entries = [];
+    const invalid = [];
+    uuids.forEach((uuidData, index) => {
+        const uuid = typeof uuidData === 'object' && uuidData !== null ? uuidData.uuid : uuidData;
+
+        // Version and variant do not matter to storage order, so only the structure has to parse
+        const parsed = parseUUID(uuid);
+        if (!parsed.uuid) {
+            invalid.push({ index, uuid, error: parsed.errors[0].message });
+            return;
+        }
+        entries.push({
+            index,
+            position: entries.length,
+            uuid: parsed.uuid,
+            key: collationKey(parsed.uuid, collation),
+        });
+    });
+
+    const sorted = [...entries].sort((a, b) => (a.key === b.key ? a.index - b.index : (a.key < b.key ? -1 : 1)));
+
+    return {
+        collation,
+        description: COLLATIONS[collation].description,
+        total: uuids.length,
+        valid: entries.length,
+        invalid: invalid.length,
+        alreadySorted: sorted.every((entry, i) => entry === entries[i]),
+        insertOrder: measureInsertOrder(entries, sorted),
+        sorted: sorted.map((entry, rank) => ({
+            rank: rank + 1,
+            uuid: entry.uuid,
+            inputIndex: entry.index,
+            storageKey: entry.key,
+        })),
+        invalidEntries: invalid,
+    };
+}
@@ -0,0 +1,234 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { once } from 'events';
+
+const DEFAULT_CHUNK_SIZE = 1000000;
+const DEFAULT_MAX_REPORTED_GROUPS = 1000;
+
+/**
+ * Normalize a UUID value to the key used for duplicate detection, here and in
+ * checkCollisions(): case, dashes, braces, urn:uuid: and whitespace are ignored
+ */
+export function collisionKey(value) {
+    return String(value).trim().toLowerCase().replace(/^urn:uuid:/, '').replace(/[-{}\s]/g, '');
+}
+
+/**
+ * Turn a compact key back into the canonical dashed form where possible
+ */
+function formatKey(key) {
+    return /^[0-9a-f]{32}$/.test(key)
+        ? `${key.slice(0, 8)}-${key.slice(8, 12)}-${key.slice(12, 16)}-${key.slice(16, 20)}-${key.slice(20, 32)}`
+        : key;
+}
+
+/**
+ * Order entries by key, then by original index
+ */
+function compareEntries(a, b) {
+    if (a.key !== b.key) {
+        return a.key < b.key ? -1 : 1;
+    }
+    return a.index - b.index;
+}
+
+/**
+ * Sort a chunk of entries and write it to a run file, one "key<TAB>index" line per entry
+ */
+async function writeRun(entries, path) {
+    entries.sort(compareEntries);
+    const stream = createWriteStream(path);
+
+    for (let i = 0; i < entries.length; i += 10000) {
+        const lines = entries.slice(i, i + 10000).map(e => `${e.key}\t${e.index}\n`).join('');
+        if (!stream.write(lines)) {
+            await once(stream, 'drain');
+        }
+    }
+
+    stream.end();
+    await once(stream, 'finish');
+}
+
+/**
+ * Iterate the sorted entries of a run file
+ */
+async function* readRun(path) {
+    const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+    for await (const line of lines) {
+        const tab = line.lastIndexOf('\t');
+        yield { key: line.slice(0, tab), index: Number(line.slice(tab + 1)) };
+    }
+}
+
+/**
+ * Merge sorted async iterators into one sorted stream using a binary min-heap
+ */
+async function* mergeRuns(iterators) {
+    const heap = [];
+
+    const push = (item) => {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compareEntries(heap[parent].entry, heap[i].entry) <= 0) {
+                break;
+            }
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && compareEntries(heap[left].entry, heap[smallest].entry) < 0) {
+                    smallest = left;
+                }
+                if (right < heap.length && compareEntries(heap[right].entry, heap[smallest].entry) < 0) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    for (const iterator of iterators) {
+        const { value, done } = await iterator.next();
+        if (!done) {
+            push({ entry: value, iterator });
+        }
+    }
+
+    while (heap.length > 0) {
+        const { entry, iterator } = pop();
+        yield entry;
+
+        const { value, done } = await iterator.next();
+        if (!done) {
+            push({ entry: value, iterator });
+        }
+    }
+}
+
+/**
+ * Check a stream of UUIDs for collisions with bounded memory.
+ *
+ * Values are read in chunks of chunkSize, each chunk is sorted and spilled to a
+ * temporary run file, and the runs are k-way merged so that equal UUIDs end up
+ * next to each other (external sort/merge). Memory use depends on chunkSize,
+ * not on the number of UUIDs. Every duplicate group is reported with all of its
+ * original 0-based indices, through onDuplicateGroup and (up to
+ * maxReportedGroups) in the returned summary.
+ */
+export async function checkCollisionsStreaming(values, options = {}) {
+    const {
+        chunkSize = DEFAULT_CHUNK_SIZE,
+        maxReportedGroups = DEFAULT_MAX_REPORTED_GROUPS,
+        onDuplicateGroup = async () => {},
+        onProgress = () => {},
+    } = options;
+
+    const workDir = await mkdtemp(join(tmpdir(), 'uuid-collisions-'));
+    const runPaths = [];
+    let chunk = [];
+    let total = 0;
+    let skipped = 0;
+
+    try {
+        for await (const value of values) {
+            const index = total++;
+            if (value === undefined || value === null || value === '') {
+                skipped++;
+                continue;
+            }
+
+            chunk.push({ key: collisionKey(value), index });
+
+            if (chunk.length >= chunkSize) {
+                const path = join(workDir, `run-${runPaths.length}.txt`);
+                await writeRun(chunk, path);
+                runPaths.push(path);
+                chunk = [];
+                onProgress({ read: total, runs: runPaths.length });
+            }
+        }
+
+        // Small inputs never touch the disk; otherwise the remainder becomes the last run
+        let sorted;
+        if (runPaths.length === 0) {
+            chunk.sort(compareEntries);
+            sorted = chunk;
+        } else {
+            if (chunk.length > 0) {
+                const path = join(workDir, `run-${runPaths.length}.txt`);
+                await writeRun(chunk, path);
+                runPaths.push(path);
+            }
+            chunk = [];
+            sorted = mergeRuns(runPaths.map(path => readRun(path)));
+        }
+
+        let unique = 0;
+        let duplicates = 0;
+        let groupCount = 0;
+        const duplicateGroups = [];
+        let group = null;
+
+        const flush = async () => {
+            if (!group) {
+                return;
+            }
+            unique++;
+            if (group.indices.length > 1) {
+                duplicates += group.indices.length - 1;
+                groupCount++;
+                if (duplicateGroups.length < maxReportedGroups) {
+                    duplicateGroups.push(group);
+                }
+                await onDuplicateGroup(group);
+            }
+        };
+
+        let groupKey = null;
+        for await (const entry of sorted) {
+            if (group && groupKey === entry.key) {
+                group.indices.push(entry.index);
+            } else {
+                await flush();
+                groupKey = entry.key;
+                group = { uuid: formatKey(entry.key), indices: [entry.index] };
+            }
+        }
+        await flush();
+
+        return {
+            total,
+            skipped,
+            unique,
+            duplicates,
+            duplicateGroupCount: groupCount,
+            duplicateGroups,
+            truncated: groupCount > duplicateGroups.length,
+            runs: runPaths.length,
+        };
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+}
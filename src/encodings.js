@@ -0,0 +1,492 @@
+import { convertUUIDFormat } from './utils.js';
+import { decodeULIDValue, uuidToULID } from './ulid.js';
+
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+// Extra check symbols used by Crockford's mod-37 checksum
+const CROCKFORD_CHECK_SYMBOLS = `${CROCKFORD_ALPHABET}*~$=U`;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+const UUID_MAX = (1n << 128n) - 1n;
+
+/**
+ * Convert a UUID string to its 128-bit integer value
+ */
+function uuidToBigInt(uuid, strict) {
+    const canonical = convertUUIDFormat(uuid, { removeDashes: true, strict });
+    return BigInt(`0x${canonical}`);
+}
+
+/**
+ * Convert a 128-bit integer value back to a canonical UUID string
+ */
+function bigIntToUUID(value, strict) {
+    if (value > UUID_MAX) {
+        throw new Error('Decoded value exceeds 128 bits');
+    }
+    return convertUUIDFormat(value.toString(16).padStart(32, '0'), { strict });
+}
+
+/**
+ * Encode a value in a positional alphabet, left-padded to a fixed width
+ */
+function encodeBase(value, alphabet, width) {
+    const radix = BigInt(alphabet.length);
+    let result = '';
+
+    while (value > 0n) {
+        result = alphabet[Number(value % radix)] + result;
+        value /= radix;
+    }
+
+    return result.padStart(width, alphabet[0]);
+}
+
+/**
+ * Decode a positional alphabet string, reporting the first character outside the alphabet.
+ * position(i) is the 1-based position of text[i] in the input as typed.
+ */
+function decodeBase(text, alphabet, encodingName, position = i => i + 1) {
+    const radix = BigInt(alphabet.length);
+    let value = 0n;
+
+    for (let i = 0; i < text.length; i++) {
+        const digit = alphabet.indexOf(text[i]);
+        if (digit === -1) {
+            throw new Error(`Invalid ${encodingName} character '${text[i]}' at position ${position(i)}`);
+        }
+        value = value * radix + BigInt(digit);
+    }
+
+    return value;
+}
+
+/**
+ * Check that an encoded string has the expected length
+ */
+function assertLength(text, expected, encodingName) {
+    if (text.length !== expected) {
+        throw new Error(`Invalid ${encodingName} length: expected ${expected} characters, got ${text.length}`);
+    }
+}
+
+/**
+ * Crockford Base32 (26 characters, optional mod-37 check symbol)
+ */
+const base32 = {
+    encode(value, options = {}) {
+        const encoded = encodeBase(value, CROCKFORD_ALPHABET, 26);
+        return options.checksum
+            ? encoded + CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)]
+            : encoded;
+    },
+
+    decode(text, offset = 0) {
+        // Crockford decoding is case-insensitive, ignores hyphens and maps look-alike letters.
+        // Errors point at the character as typed, counting the hyphens.
+        const positions = [];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] !== '-') {
+                positions.push(offset + i + 1);
+            }
+        }
+        const cleaned = text.replace(/-/g, '').toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0');
+
+        if (cleaned.length !== 26 && cleaned.length !== 27) {
+            throw new Error(`Invalid Base32 length: expected 26 characters (27 with check symbol), got ${cleaned.length}`);
+        }
+
+        const value = decodeBase(cleaned.slice(0, 26), CROCKFORD_ALPHABET, 'Base32', i => positions[i]);
+
+        if (cleaned.length === 27) {
+            const check = cleaned[26];
+            const checkValue = CROCKFORD_CHECK_SYMBOLS.indexOf(check);
+            if (checkValue === -1) {
+                throw new Error(`Invalid Base32 check symbol '${check}' at position ${positions[26]}`);
+            }
+            if (BigInt(checkValue) !== value % 37n) {
+                throw new Error(`Base32 checksum mismatch: expected '${CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)]}', got '${check}'`);
+            }
+        }
+
+        return value;
+    },
+};
+
+/**
+ * Base58 with the Bitcoin alphabet (22 characters, zero-padded with '1')
+ */
+const base58 = {
+    encode(value) {
+        return encodeBase(value, BASE58_ALPHABET, 22);
+    },
+
+    decode(text, offset = 0) {
+        assertLength(text, 22, 'Base58');
+        return decodeBase(text, BASE58_ALPHABET, 'Base58', i => offset + i + 1);
+    },
+};
+
+/**
+ * URL-safe Base64 without padding (22 characters)
+ */
+const base64url = {
+    encode(value) {
+        return Buffer.from(value.toString(16).padStart(32, '0'), 'hex').toString('base64url');
+    },
+
+    decode(text, offset = 0) {
+        assertLength(text, 22, 'Base64url');
+        // 22 characters carry 132 bits; the last 4 must be zero for a canonical encoding
+        const value = decodeBase(text, BASE64URL_ALPHABET, 'Base64url', i => offset + i + 1);
+        if ((value & 0xFn) !== 0n) {
+            throw new Error(`Invalid Base64url character '${text[21]}' at position ${offset + 22}: trailing bits must be zero`);
+        }
+        return value >> 4n;
+    },
+};
+
+/**
+ * Base36 (25 characters, lowercase, zero-padded)
+ */
+const base36 = {
+    encode(value) {
+        return encodeBase(value, BASE36_ALPHABET, 25);
+    },
+
+    decode(text, offset = 0) {
+        assertLength(text, 25, 'Base36');
+        return decodeBase(text.toLowerCase(), BASE36_ALPHABET, 'Base36', i => offset + i + 1);
+    },
+};
+
+/**
+ * ULID (26 Crockford Base32 characters carrying the raw 128 bits).
+ * ULIDs do not have RFC version/variant bits, so any 128-bit value is accepted.
+ */
+const ulid = {
+    strict: false,
+
+    encode(value) {
+        return uuidToULID(value.toString(16).padStart(32, '0'));
+    },
+
+    decode(text, offset = 0) {
+        return decodeULIDValue(text, offset);
+    },
+};
+
+/**
+ * Convert a 128-bit value to its 16 big-endian bytes
+ */
+function toBytes(value) {
+    return [...Buffer.from(value.toString(16).padStart(32, '0'), 'hex')];
+}
+
+/**
+ * Convert 16 big-endian bytes to a 128-bit value
+ */
+function fromBytes(bytes) {
+    return BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+}
+
+/**
+ * Swap between RFC (big-endian) and Microsoft mixed-endian byte order.
+ * The first three fields (4, 2 and 2 bytes) are reversed; the last 8 bytes are unchanged.
+ */
+function swapMixedEndian(bytes) {
+    return [
+        ...bytes.slice(0, 4).reverse(),
+        ...bytes.slice(4, 6).reverse(),
+        ...bytes.slice(6, 8).reverse(),
+        ...bytes.slice(8),
+    ];
+}
+
+/**
+ * Move time_high and time_mid in front of time_low, as MySQL UUID_TO_BIN(uuid, 1)
+ * does so that v1 UUIDs sort by time; the last 8 bytes are unchanged
+ */
+function swapTimeFields(bytes) {
+    return [...bytes.slice(6, 8), ...bytes.slice(4, 6), ...bytes.slice(0, 4), ...bytes.slice(8)];
+}
+
+/**
+ * Undo swapTimeFields(), as MySQL BIN_TO_UUID(bin, 1) does
+ */
+function unswapTimeFields(bytes) {
+    return [...bytes.slice(4, 8), ...bytes.slice(2, 4), ...bytes.slice(0, 2), ...bytes.slice(8)];
+}
+
+/**
+ * Format a byte as a 0x-prefixed, two-digit hex literal
+ */
+function hexByte(byte) {
+    return `0x${byte.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a list of byte values (decimal or 0x hex, optional brackets)
+ */
+function parseByteList(text, encodingName, count = 16) {
+    const items = text.replace(/^[[{(]\s*|\s*[\]})]$/g, '').split(/[\s,]+/).filter(Boolean);
+
+    if (items.length !== count) {
+        throw new Error(`Invalid ${encodingName}: expected ${count} bytes, got ${items.length}`);
+    }
+
+    return items.map((item, index) => {
+        const byte = /^0x[0-9a-f]{1,2}$/i.test(item) || /^\d{1,3}$/.test(item) ? Number(item) : NaN;
+        if (!(byte >= 0 && byte <= 255)) {
+            throw new Error(`Invalid ${encodingName} byte '${item}' at index ${index}`);
+        }
+        return byte;
+    });
+}
+
+/**
+ * Parse 32 hex digits (optionally separated by dashes), reporting the first invalid
+ * character at its position in the input; offset counts the characters before text
+ */
+function parseHexDigits(text, encodingName, offset = 0, dashes = false) {
+    const invalid = text.search(dashes ? /[^0-9a-f-]/i : /[^0-9a-f]/i);
+    if (invalid !== -1) {
+        throw new Error(`Invalid ${encodingName} character '${text[invalid]}' at position ${invalid + offset + 1}`);
+    }
+    const hex = dashes ? text.replace(/-/g, '') : text;
+    assertLength(hex, 32, `${encodingName} hex`);
+    return BigInt(`0x${hex}`);
+}
+
+/**
+ * Format a 128-bit value as 8-4-4-4-12 hex
+ */
+function toDashed(value) {
+    const hex = value.toString(16).padStart(32, '0');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// GUID representations accept any 128-bit value, including Microsoft-variant GUIDs
+
+/**
+ * Windows registry format: {XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX}
+ */
+const registry = {
+    strict: false,
+
+    encode(value) {
+        return `{${toDashed(value).toUpperCase()}}`;
+    },
+
+    decode(text, offset = 0) {
+        const match = text.match(/^\{([^{}]*)\}$/);
+        if (!match) {
+            throw new Error('Invalid registry GUID: expected {XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX}');
+        }
+        return parseHexDigits(match[1], 'registry GUID', offset + 1, true);
+    },
+};
+
+/**
+ * RFC URN: urn:uuid:xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx
+ */
+const urn = {
+    strict: false,
+
+    encode(value) {
+        return `urn:uuid:${toDashed(value)}`;
+    },
+
+    decode(text, offset = 0) {
+        if (!/^urn:uuid:/i.test(text)) {
+            throw new Error("Invalid UUID URN: expected 'urn:uuid:' prefix");
+        }
+        return parseHexDigits(text.slice(9), 'UUID URN', offset + 9, true);
+    },
+};
+
+/**
+ * Big-endian (RFC / network order) byte array
+ */
+const bytes = {
+    strict: false,
+
+    encode(value) {
+        return `[${toBytes(value).map(hexByte).join(', ')}]`;
+    },
+
+    decode(text) {
+        return fromBytes(parseByteList(text, 'byte array'));
+    },
+};
+
+/**
+ * Little-endian byte array as returned by .NET Guid.ToByteArray()
+ */
+const bytes_le = {
+    strict: false,
+
+    encode(value) {
+        return `[${swapMixedEndian(toBytes(value)).map(hexByte).join(', ')}]`;
+    },
+
+    decode(text) {
+        return fromBytes(swapMixedEndian(parseByteList(text, 'little-endian byte array')));
+    },
+};
+
+/**
+ * Big-endian hex blob literal: 0xXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX
+ */
+const hex_blob = {
+    strict: false,
+
+    encode(value) {
+        return `0x${value.toString(16).padStart(32, '0').toUpperCase()}`;
+    },
+
+    decode(text, offset = 0) {
+        if (!/^0x/i.test(text)) {
+            throw new Error("Invalid hex blob: expected '0x' prefix");
+        }
+        return parseHexDigits(text.slice(2), 'hex blob', offset + 2);
+    },
+};
+
+/**
+ * Mixed-endian hex blob, as SQL Server returns for CAST(uniqueidentifier AS varbinary)
+ */
+const hex_blob_le = {
+    strict: false,
+
+    encode(value) {
+        return `0x${Buffer.from(swapMixedEndian(toBytes(value))).toString('hex').toUpperCase()}`;
+    },
+
+    decode(text, offset = 0) {
+        const value = hex_blob.decode(text, offset);
+        return fromBytes(swapMixedEndian(toBytes(value)));
+    },
+};
+
+/**
+ * Time-swapped hex blob, as MySQL stores UUID_TO_BIN(uuid, 1) in a BINARY(16) column
+ */
+const hex_blob_swap = {
+    strict: false,
+
+    encode(value) {
+        return `0x${Buffer.from(swapTimeFields(toBytes(value))).toString('hex').toUpperCase()}`;
+    },
+
+    decode(text, offset = 0) {
+        const value = hex_blob.decode(text, offset);
+        return fromBytes(unswapTimeFields(toBytes(value)));
+    },
+};
+
+/**
+ * C GUID struct initializer: { 0xXXXXXXXX, 0xXXXX, 0xXXXX, { 0xXX, ... } }
+ */
+const c_struct = {
+    strict: false,
+
+    encode(value) {
+        const hex = value.toString(16).padStart(32, '0');
+        const tail = toBytes(value).slice(8).map(hexByte).join(', ');
+        return `{ 0x${hex.slice(0, 8)}, 0x${hex.slice(8, 12)}, 0x${hex.slice(12, 16)}, { ${tail} } }`;
+    },
+
+    decode(text) {
+        const match = text.match(/^\{\s*(0x[0-9a-f]+)\s*,\s*(0x[0-9a-f]+)\s*,\s*(0x[0-9a-f]+)\s*,\s*(\{[^{}]*\})\s*\}$/i);
+        if (!match) {
+            throw new Error('Invalid C struct initializer: expected { 0xXXXXXXXX, 0xXXXX, 0xXXXX, { 8 bytes } }');
+        }
+
+        const fields = [[match[1], 8, 'Data1'], [match[2], 4, 'Data2'], [match[3], 4, 'Data3']];
+        const head = fields.map(([literal, digits, field]) => {
+            const hex = literal.slice(2);
+            if (hex.length > digits) {
+                throw new Error(`Invalid C struct initializer: ${field} '${literal}' exceeds ${digits} hex digits`);
+            }
+            return hex.padStart(digits, '0');
+        }).join('');
+
+        const tailBytes = parseByteList(match[4], 'C struct Data4', 8);
+
+        return BigInt(`0x${head}${Buffer.from(tailBytes).toString('hex')}`);
+    },
+};
+
+const ENCODINGS = {
+    base32,
+    base58,
+    base64url,
+    base36,
+    ulid,
+    registry,
+    urn,
+    bytes,
+    bytes_le,
+    hex_blob,
+    hex_blob_le,
+    hex_blob_swap,
+    c_struct,
+};
+
+export const ENCODING_NAMES = Object.keys(ENCODINGS);
+
+/**
+ * Look up an encoding by name
+ */
+function getEncoding(encoding) {
+    const codec = ENCODINGS[encoding];
+    if (!codec) {
+        throw new Error(`Unsupported encoding: ${encoding} (expected ${ENCODING_NAMES.join(', ')})`);
+    }
+    return codec;
+}
+
+/**
+ * Encode a UUID in an alternative textual encoding. options.strict: false skips
+ * the RFC version/variant check; encodings that carry any 128-bit value (ULID,
+ * GUID forms) never make it.
+ */
+export function encodeUUID(uuid, encoding, options = {}) {
+    const codec = getEncoding(encoding);
+    const strict = codec.strict !== false && options.strict !== false;
+    return codec.encode(uuidToBigInt(uuid, strict), options);
+}
+
+/**
+ * Decode an encoded UUID back to the canonical 8-4-4-4-12 form. Surrounding
+ * whitespace is ignored; codecs get the number of leading whitespace characters
+ * as their offset, so error positions count from the start of the input.
+ */
+export function decodeUUID(text, encoding) {
+    const codec = getEncoding(encoding);
+    const offset = text.length - text.trimStart().length;
+    return bigIntToUUID(codec.decode(text.trim(), offset), codec.strict !== false);
+}
+
+/**
+ * List every GUID/byte-order representation of a UUID
+ */
+export function describeRepresentations(uuid) {
+    const value = uuidToBigInt(uuid, false);
+    const representations = {};
+
+    for (const name of ['registry', 'urn', 'bytes', 'bytes_le', 'hex_blob', 'hex_blob_le', 'hex_blob_swap', 'c_struct']) {
+        representations[name] = ENCODINGS[name].encode(value);
+    }
+
+    return representations;
+}
+
+/**
+ * Whether an encoding only carries RFC-conformant UUIDs
+ */
+export function isStrictEncoding(encoding) {
+    return getEncoding(encoding).strict !== false;
+}
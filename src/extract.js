@@ -0,0 +1,81 @@
+import { parseUUID } from './parser.js';
+
+// Standard (dashed) or compact UUIDs, optionally braced or prefixed with urn:uuid:,
+// not embedded in a longer run of letters or digits
+const UUID_CANDIDATE_REGEX = new RegExp(
+    '(?<![0-9a-z])'
+    + '(urn:uuid:)?(\\{)?'
+    + '([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{32})'
+    + '(\\})?'
+    + '(?![0-9a-z])',
+    'gi',
+);
+
+/**
+ * Create a function returning the 1-based line and column of increasing character offsets
+ */
+function createLineTracker(text) {
+    let line = 1;
+    let lineStart = 0;
+    let scanned = 0;
+
+    return (offset) => {
+        for (; scanned < offset; scanned++) {
+            if (text[scanned] === '\n') {
+                line++;
+                lineStart = scanned + 1;
+            }
+        }
+        return { line, column: offset - lineStart + 1 };
+    };
+}
+
+/**
+ * Find every UUID in free text (logs, stack traces, JSON, documents).
+ * Candidates must be valid RFC UUIDs, which filters out look-alikes such as
+ * 32-digit MD5 hashes. Offsets are 0-based character offsets into the text.
+ */
+export function extractUUIDs(text) {
+    const matches = [];
+    const locate = createLineTracker(text);
+
+    for (const match of text.matchAll(UUID_CANDIDATE_REGEX)) {
+        const [, urnPrefix, openBrace, core, closeBrace] = match;
+
+        // Braces only count as a wrapping when both are present
+        let raw = match[0];
+        let offset = match.index;
+        if (openBrace && !closeBrace) {
+            raw = raw.slice(1);
+            offset += 1;
+        } else if (closeBrace && !openBrace) {
+            raw = raw.slice(0, -1);
+        }
+
+        const parsed = parseUUID(raw);
+        if (!parsed.valid) {
+            continue;
+        }
+
+        let format = core.includes('-') ? 'standard' : 'compact';
+        if (urnPrefix) {
+            format = 'urn';
+        } else if (openBrace && closeBrace) {
+            format = 'braced';
+        }
+
+        matches.push({
+            uuid: parsed.uuid,
+            match: raw,
+            format,
+            offset,
+            ...locate(offset),
+        });
+    }
+
+    return {
+        total: matches.length,
+        unique: new Set(matches.map(m => m.uuid)).size,
+        matches,
+    };
+}
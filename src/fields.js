@@ -0,0 +1,363 @@
+import { ENCODING_NAMES } from './encodings.js';
+import { BACKFILL_DISTRIBUTIONS } from './backfill.js';
+import { DEFAULT_SEED_TIME } from './seeded.js';
+import { MAX_RANDOM_BITS } from './probability.js';
+import { TIMELINE_BUCKETS } from './timeline.js';
+import { COLLATION_NAMES } from './collation.js';
+
+// Generate writes to the dataset in chunks, so a run can produce far more UUIDs than fit in one record
+export const MAX_GENERATE_COUNT = 50000000;
+
+const ENCODING_TITLES = [
+    'Base32 Crockford (26 chars)',
+    'Base58 Bitcoin alphabet (22 chars)',
+    'Base64url without padding (22 chars)',
+    'Base36 (25 chars)',
+    'ULID (26 chars, raw 128 bits)',
+    'Registry format {XXXXXXXX-...}',
+    'URN (urn:uuid:...)',
+    'Byte array, big-endian',
+    'Byte array, little-endian (.NET Guid.ToByteArray)',
+    'Hex blob, big-endian (0x...)',
+    'Hex blob, mixed-endian (SQL Server varbinary)',
+    'Hex blob, time-swapped (MySQL UUID_TO_BIN(uuid, 1))',
+    'C GUID struct initializer',
+];
+
+/**
+ * Inputs that operations take, keyed by their Actor input name and in input
+ * schema order. Each is a JSON schema property; title, enumTitles and editor
+ * only matter to the Actor input form, items only to MCP tool schemas.
+ */
+export const INPUT_FIELDS = {
+    uuidVersion: {
+        title: 'UUID Version (for Generate)',
+        type: 'string',
+        description: 'Select the UUID version to generate',
+        enum: ['v1', 'v3', 'v4', 'v5', 'v6', 'v7', 'v8', 'ulid'],
+        enumTitles: [
+            'Version 1 (Timestamp-based)',
+            'Version 3 (Namespace-based MD5)',
+            'Version 4 (Random)',
+            'Version 5 (Namespace-based SHA-1)',
+            'Version 6 (Reordered timestamp)',
+            'Version 7 (Unix time-ordered)',
+            'Version 8 (Custom layout)',
+            'ULID (Time-ordered, Crockford Base32)',
+        ],
+        default: 'v4',
+        editor: 'select',
+    },
+    count: {
+        title: 'Number of UUIDs (for Generate)',
+        type: 'integer',
+        description: 'How many UUIDs to generate (1-50,000,000). Over 100,000 they are only stored in the dataset, not in the OUTPUT record. Backfills are limited to 1,000,000.',
+        minimum: 1,
+        maximum: MAX_GENERATE_COUNT,
+        default: 10,
+        editor: 'number',
+    },
+    namespace: {
+        title: 'Namespace (for UUID v3/v5 and Name Mapping)',
+        type: 'string',
+        description: 'Namespace for versions 3 and 5: a predefined namespace (\'DNS\', \'URL\', \'OID\', \'X500\'), a registered custom namespace, a child path below one of them (e.g. \'acme/billing/invoice\'), or a namespace UUID. Unknown names are an error',
+        default: 'DNS',
+        editor: 'textfield',
+    },
+    name: {
+        title: 'Name (for UUID v3/v5)',
+        type: 'string',
+        description: 'Name to hash with namespace for UUID v3/v5 generation',
+        editor: 'textfield',
+    },
+    namespaceName: {
+        title: 'Namespace Name (for Namespace Add/Remove)',
+        type: 'string',
+        description: 'Name of the custom namespace to register or remove, e.g. \'acme\', or \'acme/billing\' for a child namespace derived from its parent',
+        editor: 'textfield',
+    },
+    namespaceUUID: {
+        title: 'Namespace UUID (for Namespace Add)',
+        type: 'string',
+        description: 'UUID of a new top-level namespace. Leave empty for a random one; child namespaces are always derived from their parent',
+        editor: 'textfield',
+    },
+    namespaceDescription: {
+        title: 'Namespace Description (for Namespace Add)',
+        type: 'string',
+        description: 'What the namespace is used for',
+        editor: 'textfield',
+    },
+    names: {
+        title: 'Names (for Name Mapping)',
+        type: 'array',
+        description: 'Names to map to name-based UUIDs, or CSV rows when \'Name Column\' is set',
+        editor: 'stringList',
+        items: { type: 'string' },
+    },
+    nameColumn: {
+        title: 'Name Column (for Name Mapping)',
+        type: 'string',
+        description: 'CSV column holding the name: a header name (the first row is then treated as the header) or a 0-based column index',
+        editor: 'textfield',
+    },
+    nameVersion: {
+        title: 'Name-based Version (for Name Mapping)',
+        type: 'string',
+        description: 'UUID version used to hash each name',
+        enum: ['v5', 'v3'],
+        enumTitles: ['Version 5 (SHA-1)', 'Version 3 (MD5)'],
+        default: 'v5',
+        editor: 'select',
+    },
+    v8Layout: {
+        title: 'Field Layout (for UUID v8)',
+        type: 'array',
+        description: 'Ordered list of custom fields packed into the 122 free bits of a UUID v8, most significant first. Each field is { "name", "bits", "type": "fixed" | "timestamp" | "random", "value" }. Remaining bits are random. Also used by Analyze to decode the fields back.',
+        editor: 'json',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Field name' },
+                bits: { type: 'number', description: 'Field width in bits' },
+                type: {
+                    type: 'string',
+                    enum: ['fixed', 'timestamp', 'random'],
+                    description: 'fixed (uses value), timestamp (Unix ms), or random',
+                },
+                value: { type: 'string', description: 'Value for fixed fields (decimal or 0x-prefixed hex)' },
+            },
+            required: ['bits'],
+        },
+    },
+    monotonic: {
+        title: 'Monotonic (for ULID)',
+        type: 'boolean',
+        description: 'Increment the random part of ULIDs generated within the same millisecond, so the output is strictly ordered',
+        default: false,
+        editor: 'checkbox',
+    },
+    seed: {
+        title: 'Seed (for reproducible generation)',
+        type: 'string',
+        description: 'Generate the same UUIDs on every run from this seed (v1, v4, v6, v7, v8, ULID). Seeded output is NOT cryptographically secure; use it for test fixtures only. Ignored for v3/v5.',
+        editor: 'textfield',
+    },
+    seedTime: {
+        title: 'Seed Start Time',
+        type: 'string',
+        description: 'ISO 8601 start of the seeded clock, which advances 1 ms per UUID. Only used with a seed.',
+        default: DEFAULT_SEED_TIME,
+        editor: 'textfield',
+    },
+    timestamp: {
+        title: 'Backfill Timestamp',
+        type: 'string',
+        description: 'Embed this instant instead of the current time in time-based UUIDs (v1, v6, v7, v8, ULID), e.g. a record\'s original creation date. ISO 8601 with up to 7 fractional digits (100 ns) for v1/v6, or Unix milliseconds.',
+        editor: 'textfield',
+    },
+    timestampFrom: {
+        title: 'Backfill Range Start',
+        type: 'string',
+        description: 'Start of an inclusive time range to spread the generated UUIDs over (ISO 8601)',
+        editor: 'textfield',
+    },
+    timestampTo: {
+        title: 'Backfill Range End',
+        type: 'string',
+        description: 'End of the backfill time range (ISO 8601)',
+        editor: 'textfield',
+    },
+    timestampDistribution: {
+        title: 'Backfill Distribution',
+        type: 'string',
+        description: 'Spread UUIDs evenly over the range, or at uniformly random instants (output stays chronological)',
+        enum: BACKFILL_DISTRIBUTIONS,
+        enumTitles: ['Evenly spaced', 'Uniformly random'],
+        default: 'even',
+        editor: 'select',
+    },
+    nodeId: {
+        title: 'Node ID (for v1/v6 backfill)',
+        type: 'string',
+        description: 'Fixed 48-bit node ID, 12 hex digits such as 00:1b:63:84:45:e6. Defaults to a random node ID.',
+        editor: 'textfield',
+    },
+    clockSequence: {
+        title: 'Clock Sequence (for v1/v6 backfill)',
+        type: 'integer',
+        description: 'Fixed 14-bit clock sequence (0-16383). Defaults to a random one that is incremented for UUIDs sharing an instant.',
+        minimum: 0,
+        maximum: 16383,
+    },
+    uuid: {
+        title: 'UUID (for Validate/Analyze/Convert)',
+        type: 'string',
+        description: 'Single UUID to validate, analyze, or convert',
+        editor: 'textfield',
+    },
+    uuids: {
+        title: 'UUIDs (for Batch Operations)',
+        type: 'array',
+        description: 'Array of UUIDs for batch operations (one per line)',
+        editor: 'json',
+        items: { type: 'string' },
+    },
+    chunkSize: {
+        title: 'Chunk Size (for Check Collisions)',
+        type: 'integer',
+        description: 'Number of UUIDs sorted in memory at a time when checking a dataset or record; larger chunks are faster but use more memory',
+        default: 1000000,
+        minimum: 1000,
+        maximum: 10000000,
+    },
+    inputEncoding: {
+        title: 'Input Encoding (for Convert/Analyze)',
+        type: 'string',
+        description: 'Encoding of the input UUID. When set, the input is decoded back to canonical form (with alphabet and checksum validation) before conversion',
+        enum: ENCODING_NAMES,
+        enumTitles: ENCODING_TITLES,
+        editor: 'select',
+    },
+    convertTo: {
+        title: 'Convert To Version (for Convert)',
+        type: 'string',
+        description: 'Rewrite a time-based UUID into another layout while keeping timestamp, clock sequence and node identical (v1 to v6 or v6 to v1)',
+        enum: ['v1', 'v6'],
+        enumTitles: ['Version 1 (Timestamp-based)', 'Version 6 (Reordered timestamp)'],
+        editor: 'select',
+    },
+    encoding: {
+        title: 'Output Encoding (for Convert)',
+        type: 'string',
+        description: 'Encode the converted UUID in a shorter textual form. Uppercase and Remove Dashes are ignored when an encoding is selected',
+        enum: ENCODING_NAMES,
+        enumTitles: ENCODING_TITLES,
+        editor: 'select',
+    },
+    checksum: {
+        title: 'Append Checksum (for Base32)',
+        type: 'boolean',
+        description: 'Append a Crockford mod-37 check symbol to Base32 output',
+        default: false,
+        editor: 'checkbox',
+    },
+    includeRepresentations: {
+        title: 'Include GUID Representations (for Analyze)',
+        type: 'boolean',
+        description: 'Add registry, URN, big/little-endian byte array, hex blob and C struct forms of the UUID to the analysis',
+        default: false,
+        editor: 'checkbox',
+    },
+    randomnessTests: {
+        title: 'Randomness Tests (for Statistics)',
+        type: 'boolean',
+        description: 'Test whether the v4 UUIDs are actually random: per-nibble chi-square, monobit, runs and serial correlation, each with a p-value and pass/fail verdict',
+        default: false,
+        editor: 'checkbox',
+    },
+    significanceLevel: {
+        title: 'Significance Level (for Randomness Tests)',
+        type: 'number',
+        description: 'A test fails when its p-value is below this level',
+        default: 0.01,
+        minimum: 0.0001,
+        maximum: 0.5,
+    },
+    text: {
+        title: 'Text (for Extract)',
+        type: 'string',
+        description: 'Free text (logs, stack traces, JSON, documents) to scan for UUIDs in standard, compact, braced or urn:uuid: form',
+        editor: 'textarea',
+    },
+    plannedCount: {
+        title: 'Planned ID Count (for Collision Probability)',
+        type: 'string',
+        description: 'Number of IDs to compute the collision probability for, e.g. 1000000, 1e9 or 2^40',
+        editor: 'textfield',
+    },
+    targetProbability: {
+        title: 'Target Collision Probability (for Collision Probability)',
+        type: 'string',
+        description: 'Acceptable collision probability, e.g. 1e-12; reports the most IDs that stay at or below it',
+        editor: 'textfield',
+    },
+    randomBits: {
+        title: 'Random Bits (for Collision Probability)',
+        type: 'integer',
+        description: 'Number of random bits for truncated or custom IDs; overrides the UUID version',
+        minimum: 1,
+        maximum: MAX_RANDOM_BITS,
+    },
+    bucket: {
+        title: 'Histogram Bucket (for Timeline)',
+        type: 'string',
+        description: 'Time bucket for the generation-rate histogram. Auto picks the finest size giving at most 100 buckets',
+        enum: TIMELINE_BUCKETS,
+        default: 'auto',
+    },
+    windowFrom: {
+        title: 'Window Start (for Timeline)',
+        type: 'string',
+        description: 'Only include UUIDs with timestamps at or after this date (ISO 8601)',
+        editor: 'datepicker',
+    },
+    windowTo: {
+        title: 'Window End (for Timeline)',
+        type: 'string',
+        description: 'Only include UUIDs with timestamps at or before this date (ISO 8601)',
+        editor: 'datepicker',
+    },
+    minPlausibleDate: {
+        title: 'Earliest Plausible Date (for Timeline)',
+        type: 'string',
+        description: 'Timestamps before this date are reported as implausibly old',
+        default: '1990-01-01T00:00:00.000Z',
+        editor: 'textfield',
+    },
+    collation: {
+        title: 'Collation (for Sort)',
+        type: 'string',
+        description: 'Database order to sort by: PostgreSQL uuid, MySQL BINARY(16) from UUID_TO_BIN(uuid) or UUID_TO_BIN(uuid, 1), or SQL Server uniqueidentifier',
+        enum: COLLATION_NAMES,
+        enumTitles: [
+            'PostgreSQL uuid',
+            'MySQL UUID_TO_BIN(uuid)',
+            'MySQL UUID_TO_BIN(uuid, 1)',
+            'SQL Server uniqueidentifier',
+        ],
+        default: 'postgres',
+        editor: 'select',
+    },
+    pipeTo: {
+        title: 'Pipe Extracted UUIDs To (for Extract)',
+        type: 'array',
+        description: 'Collection operations to run on the extracted UUIDs in the same run: batch_analyze, check_collisions, statistics, timeline',
+        editor: 'stringList',
+        items: {
+            type: 'string',
+            enum: ['batch_analyze', 'check_collisions', 'statistics', 'timeline'],
+        },
+    },
+    includeMetadata: {
+        title: 'Include Metadata',
+        type: 'boolean',
+        description: 'Include additional metadata like timestamp and version in output (JSON format only)',
+        default: true,
+        editor: 'checkbox',
+    },
+    uppercase: {
+        title: 'Uppercase UUIDs',
+        type: 'boolean',
+        description: 'Output UUIDs in uppercase format',
+        default: false,
+        editor: 'checkbox',
+    },
+    removeDashes: {
+        title: 'Remove Dashes',
+        type: 'boolean',
+        description: 'Remove dashes from UUID output (e.g., a1b2c3d4e5f6... instead of a1b2c3d4-e5f6-...)',
+        default: false,
+        editor: 'checkbox',
+    },
+};
@@ -0,0 +1,377 @@
+import { Bool, Float64, Int64, Table, Utf8, tableToIPC, vectorFromArray } from 'apache-arrow';
+import YAML from 'yaml';
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'text', 'ndjson', 'yaml', 'xml', 'sql', 'arrow'];
+
+export const SQL_DIALECTS = ['postgres', 'mysql', 'sqlserver'];
+
+export const SQL_STATEMENTS = ['insert', 'copy'];
+
+const FILE_TYPES = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    text: { extension: 'txt', contentType: 'text/plain' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+    yaml: { extension: 'yaml', contentType: 'application/yaml' },
+    xml: { extension: 'xml', contentType: 'application/xml' },
+    sql: { extension: 'sql', contentType: 'application/sql' },
+    arrow: { extension: 'arrow', contentType: 'application/vnd.apache.arrow.file' },
+};
+
+// SQL Server accepts at most 1000 rows per VALUES list
+const SQL_ROWS_PER_INSERT = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SQL_TYPES = {
+    postgres: { boolean: 'BOOLEAN', integer: 'BIGINT', number: 'DOUBLE PRECISION', uuid: 'UUID', text: 'TEXT' },
+    mysql: { boolean: 'BOOLEAN', integer: 'BIGINT', number: 'DOUBLE', uuid: 'CHAR(36)', text: 'TEXT' },
+    sqlserver: { boolean: 'BIT', integer: 'BIGINT', number: 'FLOAT', uuid: 'UNIQUEIDENTIFIER', text: 'NVARCHAR(MAX)' },
+};
+
+/**
+ * Flatten nested objects into dot-separated keys; arrays and empty objects stay as they are
+ */
+function flatten(value, prefix, row) {
+    for (const [key, field] of Object.entries(value)) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (field !== null && typeof field === 'object' && !Array.isArray(field) && Object.keys(field).length > 0) {
+            flatten(field, column, row);
+        } else {
+            row[column] = field;
+        }
+    }
+}
+
+/**
+ * Turn any operation result into rows for the tabular formats (CSV, SQL, Arrow).
+ * An array gives one row per item and a single result object gives one row.
+ * Nested objects become dot-separated columns ("timestamp.iso"), arrays are
+ * written as JSON text, and primitive items go into a "value" column.
+ * Columns are the union of all row keys, in order of first appearance.
+ */
+export function toTable(data) {
+    const items = Array.isArray(data) ? data : [data];
+    const columns = [];
+    const seen = new Set();
+
+    const rows = items.map((item) => {
+        const row = {};
+        if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+            flatten(item, '', row);
+        } else {
+            row.value = item;
+        }
+
+        for (const [column, value] of Object.entries(row)) {
+            row[column] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+            if (!seen.has(column)) {
+                seen.add(column);
+                columns.push(column);
+            }
+        }
+        return row;
+    });
+
+    return { columns, rows };
+}
+
+/**
+ * Infer the type of a column from its non-null values; mixed columns are text
+ */
+function columnType(rows, column) {
+    const values = rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+
+    if (values.length === 0) {
+        return 'text';
+    } else if (values.every(value => typeof value === 'boolean')) {
+        return 'boolean';
+    } else if (values.every(value => Number.isSafeInteger(value))) {
+        return 'integer';
+    } else if (values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        return 'number';
+    } else if (values.every(value => typeof value === 'string' && UUID_PATTERN.test(value))) {
+        return 'uuid';
+    }
+    return 'text';
+}
+
+/**
+ * Comma-separated values with a header row; fields are quoted when they need to be
+ */
+function formatCSV(data) {
+    const { columns, rows } = toTable(data);
+
+    const escape = (value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.map(escape).join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(',')),
+    ].join('\n');
+}
+
+/**
+ * One UUID (or JSON item) per line for arrays, pretty-printed JSON otherwise
+ */
+function formatText(data) {
+    if (!Array.isArray(data)) {
+        return JSON.stringify(data, null, 2);
+    }
+    return data.map((item) => {
+        if (item && typeof item === 'object') {
+            return item.uuid || JSON.stringify(item);
+        }
+        return item;
+    }).join('\n');
+}
+
+/**
+ * One JSON document per line: each item of an array, or the single result
+ */
+function formatNDJSON(data) {
+    const items = Array.isArray(data) ? data : [data];
+    return `${items.map(item => JSON.stringify(item)).join('\n')}\n`;
+}
+
+/**
+ * Escape text for XML content and attributes, dropping characters XML 1.0 cannot hold
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Write a value as an XML element. Array items become <item> elements; keys that
+ * are not valid element names become <entry key="...">.
+ */
+function writeXML(name, value, depth, lines) {
+    const indent = '  '.repeat(depth);
+    const valid = /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name);
+    const open = valid ? name : `entry key="${escapeXML(name)}"`;
+    const close = valid ? name : 'entry';
+
+    if (value === null || value === undefined) {
+        lines.push(`${indent}<${open}/>`);
+    } else if (typeof value === 'object') {
+        const children = Array.isArray(value) ? value.map(item => ['item', item]) : Object.entries(value);
+        if (children.length === 0) {
+            lines.push(`${indent}<${open}/>`);
+            return;
+        }
+        lines.push(`${indent}<${open}>`);
+        for (const [key, child] of children) {
+            writeXML(key, child, depth + 1, lines);
+        }
+        lines.push(`${indent}</${close}>`);
+    } else {
+        lines.push(`${indent}<${open}>${escapeXML(value)}</${close}>`);
+    }
+}
+
+/**
+ * XML document whose root element is named after the result key (e.g. <statistics>)
+ */
+function formatXML(data, rootName) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    writeXML(rootName, data, 0, lines);
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Quote an identifier for the dialect; dots inside it (flattened columns) are kept
+ */
+function quoteIdentifier(name, dialect) {
+    if (dialect === 'mysql') {
+        return `\`${name.replace(/`/g, '``')}\``;
+    } else if (dialect === 'sqlserver') {
+        return `[${name.replace(/]/g, ']]')}]`;
+    }
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a table name, which may be schema-qualified ("audit.uuids")
+ */
+function quoteTableName(table, dialect) {
+    return String(table).split('.').map(part => quoteIdentifier(part, dialect)).join('.');
+}
+
+/**
+ * SQL literal for a cell of the given column type
+ */
+function sqlLiteral(value, type, dialect) {
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+        return 'NULL';
+    }
+    if (type === 'boolean') {
+        return dialect === 'sqlserver' ? (value ? '1' : '0') : (value ? 'TRUE' : 'FALSE');
+    }
+    if (type === 'integer' || type === 'number') {
+        return String(value);
+    }
+
+    const text = String(value);
+    if (dialect === 'mysql') {
+        // MySQL treats backslashes in string literals as escapes
+        return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "''").replace(/\0/g, '\\0')}'`;
+    } else if (dialect === 'sqlserver') {
+        return `N'${text.replace(/'/g, "''")}'`;
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * PostgreSQL COPY text-format field
+ */
+function copyField(value, type) {
+    if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+        return '\\N';
+    }
+    if (type === 'boolean') {
+        return value ? 't' : 'f';
+    }
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * SQL script that creates the table (if missing), then loads the rows in one transaction,
+ * with multi-row INSERTs or, for PostgreSQL, a COPY ... FROM stdin block
+ */
+function formatSQL(data, options) {
+    const { dialect = 'postgres', table, statement = 'insert' } = options;
+
+    if (!SQL_DIALECTS.includes(dialect)) {
+        throw new Error(`Unsupported SQL dialect: ${dialect}. Use one of: ${SQL_DIALECTS.join(', ')}`);
+    }
+    if (!SQL_STATEMENTS.includes(statement)) {
+        throw new Error(`Unsupported SQL statement: ${statement}. Use one of: ${SQL_STATEMENTS.join(', ')}`);
+    }
+    if (statement === 'copy' && dialect !== 'postgres') {
+        throw new Error('COPY scripts are only supported for the postgres dialect');
+    }
+
+    const { columns, rows } = toTable(data);
+    if (columns.length === 0) {
+        return '-- No rows to insert\n';
+    }
+
+    const types = columns.map(column => columnType(rows, column));
+    const tableName = quoteTableName(table, dialect);
+    const columnList = columns.map(column => quoteIdentifier(column, dialect)).join(', ');
+    const definitions = columns.map((column, i) => `    ${quoteIdentifier(column, dialect)} ${SQL_TYPES[dialect][types[i]]}`).join(',\n');
+
+    // The table comes first: MySQL commits any open transaction on DDL
+    const lines = [`-- ${rows.length} row(s), ${dialect} dialect`];
+    if (dialect === 'sqlserver') {
+        lines.push(`IF OBJECT_ID(N'${String(table).replace(/'/g, "''")}', N'U') IS NULL`);
+        lines.push(`CREATE TABLE ${tableName} (\n${definitions}\n);`);
+    } else {
+        lines.push(`CREATE TABLE IF NOT EXISTS ${tableName} (\n${definitions}\n);`);
+    }
+    lines.push(dialect === 'sqlserver' ? 'BEGIN TRANSACTION;' : 'BEGIN;');
+
+    if (statement === 'copy') {
+        lines.push(`COPY ${tableName} (${columnList}) FROM stdin;`);
+        for (const row of rows) {
+            lines.push(columns.map((column, i) => copyField(row[column], types[i])).join('\t'));
+        }
+        lines.push('\\.');
+    } else {
+        for (let start = 0; start < rows.length; start += SQL_ROWS_PER_INSERT) {
+            const values = rows.slice(start, start + SQL_ROWS_PER_INSERT)
+                .map(row => `    (${columns.map((column, i) => sqlLiteral(row[column], types[i], dialect)).join(', ')})`);
+            lines.push(`INSERT INTO ${tableName} (${columnList}) VALUES\n${values.join(',\n')};`);
+        }
+    }
+
+    lines.push('COMMIT;');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Arrow IPC file with one record batch. Booleans, safe integers (Int64) and other
+ * numbers (Float64) keep their type; everything else is UTF-8 text.
+ */
+function formatArrow(data) {
+    const { columns, rows } = toTable(data);
+    const arrowTypes = { boolean: new Bool(), integer: new Int64(), number: new Float64() };
+
+    const vectors = {};
+    for (const column of columns) {
+        const type = columnType(rows, column);
+        const values = rows.map((row) => {
+            const value = row[column];
+            if (value === null || value === undefined) {
+                return null;
+            }
+            if (type === 'integer') {
+                return BigInt(value);
+            }
+            return arrowTypes[type] ? value : String(value);
+        });
+        vectors[column] = vectorFromArray(values, arrowTypes[type] || new Utf8());
+    }
+
+    return Buffer.from(tableToIPC(new Table(vectors), 'file'));
+}
+
+/**
+ * Serialize an operation result in a file output format (every format but json,
+ * which is stored as is). Works for every result shape: arrays of items,
+ * single result objects and arrays of primitives.
+ *
+ * options.name names the XML root element and the default SQL table;
+ * options.sqlDialect, options.sqlTable and options.sqlStatement configure SQL output.
+ * options.rowsKey names the list inside a result object that the row-based formats
+ * (CSV, NDJSON, SQL, Arrow) write one row or line per item of, matching the
+ * dataset; the other formats always write the whole result.
+ * Returns { content, extension, contentType }.
+ */
+export function formatOutput(data, format, options = {}) {
+    const { name = 'output', sqlDialect, sqlTable, sqlStatement, rowsKey } = options;
+    const rows = rowsKey && data && Array.isArray(data[rowsKey]) ? data[rowsKey] : data;
+
+    let content;
+    switch (format) {
+        case 'csv':
+            content = formatCSV(rows);
+            break;
+        case 'text':
+            content = formatText(data);
+            break;
+        case 'ndjson':
+            content = formatNDJSON(rows);
+            break;
+        case 'yaml':
+            content = YAML.stringify(data);
+            break;
+        case 'xml':
+            content = formatXML(data, name);
+            break;
+        case 'sql':
+            content = formatSQL(rows, { dialect: sqlDialect, table: sqlTable || name, statement: sqlStatement });
+            break;
+        case 'arrow':
+            content = formatArrow(rows);
+            break;
+        default:
+            throw new Error(`Unsupported output format: ${format}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    return { content, ...FILE_TYPES[format] };
+}
@@ -0,0 +1,168 @@
+import { v1 as uuidv1, v3 as uuidv3, v4 as uuidv4, v5 as uuidv5, v6 as uuidv6, v7 as uuidv7 } from 'uuid';
+import { buildV8UUID, validateV8Layout } from './layout.js';
+import { generateULID, monotonicFactory } from './ulid.js';
+import { createSeededGenerator, createSeededRandom, SEEDED_PRNG, SEEDED_VERSIONS } from './seeded.js';
+import { createBackfillGenerator } from './backfill.js';
+import { resolveNamespace } from './namespaces.js';
+
+// Backfill instants are planned up front, in memory
+export const MAX_BACKFILL_COUNT = 1000000;
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Format UUID according to user preferences
+ */
+export function formatUUID(uuid, { uppercase = false, removeDashes = false }) {
+    let formatted = uuid;
+    if (removeDashes) {
+        formatted = formatted.replace(/-/g, '');
+    }
+    if (uppercase) {
+        formatted = formatted.toUpperCase();
+    }
+    return formatted;
+}
+
+/**
+ * Create the UUID source of the Generate operation from its arguments (version,
+ * count, namespace, name, layout, monotonic, seed, seedTime, timestamp,
+ * timestampFrom, timestampTo, distribution, nodeId, clockSequence, uppercase,
+ * removeDashes). Invalid combinations throw; questionable ones go to context.warn.
+ * context.namespaces is the custom namespace registry, when the caller has one.
+ *
+ * Seeded and backfill sources are replayable: generating the same number of UUIDs
+ * again brings a resumed run back to the same position. context.planSeed fixes
+ * the random instants of an unseeded backfill for that purpose.
+ */
+export function createUUIDGenerator(args, context = {}) {
+    const {
+        version = 'v4',
+        count = 1,
+        namespace = 'DNS',
+        name,
+        layout,
+        monotonic = false,
+        seed,
+        seedTime,
+        timestamp,
+        timestampFrom,
+        timestampTo,
+        distribution = 'even',
+        nodeId,
+        clockSequence,
+        uppercase = false,
+        removeDashes = false,
+    } = args;
+    const { log = () => {}, warn = () => {}, planSeed, namespaces } = context;
+
+    // Special validation for name-based UUIDs
+    if ((version === 'v3' || version === 'v5') && !isSet(name)) {
+        throw new Error(`Name is required for UUID ${version}`);
+    }
+
+    // Custom v8 UUIDs need a field layout
+    if (version === 'v8') {
+        if (!layout) {
+            throw new Error('A field layout is required for UUID v8');
+        }
+        validateV8Layout(layout);
+    }
+
+    // A seed makes the output reproducible, and predictable
+    const seeded = isSet(seed) && SEEDED_VERSIONS.includes(version);
+    if (seeded) {
+        warn(`Seeded generation (${SEEDED_PRNG}) is NOT cryptographically secure; use it for test fixtures only`);
+    } else if (isSet(seed)) {
+        warn(`The seed is ignored for UUID ${version}, which is deterministic already`);
+    }
+
+    // An explicit timestamp or range backfills time-based UUIDs; a seed still drives the random parts
+    const backfill = [timestamp, timestampFrom, timestampTo].some(isSet);
+    let generator = null;
+    if (backfill) {
+        if (count > MAX_BACKFILL_COUNT) {
+            throw new Error('Backfills are limited to 1,000,000 UUIDs per run; split the range over several runs');
+        }
+        generator = createBackfillGenerator(version, {
+            count,
+            timestamp,
+            from: timestampFrom,
+            to: timestampTo,
+            distribution,
+            nodeId,
+            clockSequence,
+            layout,
+            monotonic,
+            ...(seeded && { random: createSeededRandom(seed) }),
+            ...(!seeded && planSeed && { planRandom: createSeededRandom(planSeed) }),
+        });
+        log(isSet(timestamp)
+            ? `Backfilling at ${timestamp}`
+            : `Backfilling from ${timestampFrom} to ${timestampTo} (${distribution} distribution)`);
+    } else if (seeded) {
+        generator = createSeededGenerator(seed, { startTime: seedTime, monotonic });
+    } else if (isSet(nodeId) || isSet(clockSequence)) {
+        warn('nodeId and clockSequence are only used with a backfill timestamp or range');
+    }
+
+    // For v3/v5 with same name/namespace, all UUIDs will be identical
+    let namespaceUUID = null;
+    if (version === 'v3' || version === 'v5') {
+        namespaceUUID = namespaces ? namespaces.resolve(namespace) : resolveNamespace(namespace);
+        if (count > 1) {
+            warn(`All UUID ${version} will be identical with the same namespace and name combination. Use the name_mapping operation to derive UUIDs for a list of names, or UUID v4 for random identifiers.`);
+        }
+    }
+
+    const nextULID = monotonic ? monotonicFactory() : () => generateULID();
+
+    const generate = () => {
+        // Seeded and backfill generators bring their own clock and random source
+        if (generator) {
+            return generator.next(version, { layout });
+        }
+
+        switch (version) {
+            case 'v1':
+                return uuidv1();
+            case 'v3':
+                return uuidv3(name, namespaceUUID);
+            case 'v4':
+                return uuidv4();
+            case 'v5':
+                return uuidv5(name, namespaceUUID);
+            case 'v6':
+                return uuidv6();
+            case 'v7':
+                return uuidv7();
+            case 'v8':
+                return buildV8UUID(layout);
+            case 'ulid':
+                return nextULID();
+            default:
+                throw new Error(`Unsupported UUID version: ${version}`);
+        }
+    };
+
+    return {
+        seeded,
+        backfill,
+        replayable: generator !== null,
+
+        /**
+         * Generate the next UUID, formatted
+         */
+        next() {
+            return formatUUID(generate(), { uppercase, removeDashes });
+        },
+
+        /**
+         * ISO timestamp of the last generated UUID: the time embedded by a seeded or
+         * backfill generator, otherwise the current time
+         */
+        timestamp() {
+            return generator ? generator.timestamp() : new Date().toISOString();
+        },
+    };
+}
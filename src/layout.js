@@ -0,0 +1,185 @@
+import { randomBytes } from 'crypto';
+
+// UUID v8 leaves 122 of the 128 bits to the application (4 version bits and 2 variant bits are fixed)
+export const V8_PAYLOAD_BITS = 122;
+
+const FIELD_TYPES = ['fixed', 'timestamp', 'random'];
+
+/**
+ * Validate a v8 layout descriptor and return it normalized.
+ * A layout is an ordered array of fields, most significant first:
+ *   { name, bits, type: 'fixed' | 'timestamp' | 'random', value }
+ * Any bits left over after the last field are filled with random data.
+ */
+export function validateV8Layout(layout) {
+    if (!Array.isArray(layout) || layout.length === 0) {
+        throw new Error('UUID v8 layout must be a non-empty array of fields');
+    }
+
+    let totalBits = 0;
+    const names = new Set();
+
+    const fields = layout.map((field, index) => {
+        const { name = `field${index + 1}`, bits, type = 'fixed', value } = field;
+
+        if (!Number.isInteger(bits) || bits < 1) {
+            throw new Error(`Layout field "${name}" must have a positive integer bit width`);
+        }
+        if (!FIELD_TYPES.includes(type)) {
+            throw new Error(`Layout field "${name}" has unsupported type "${type}" (expected ${FIELD_TYPES.join(', ')})`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Duplicate layout field name: ${name}`);
+        }
+        names.add(name);
+        totalBits += bits;
+
+        const normalized = { name, bits, type };
+        if (type === 'fixed') {
+            if (value === undefined || value === null) {
+                throw new Error(`Layout field "${name}" of type fixed requires a value`);
+            }
+            normalized.value = toFieldValue(value, name);
+            if (normalized.value >= 1n << BigInt(bits)) {
+                throw new Error(`Value of layout field "${name}" does not fit in ${bits} bits`);
+            }
+        }
+        return normalized;
+    });
+
+    if (totalBits > V8_PAYLOAD_BITS) {
+        throw new Error(`UUID v8 layout uses ${totalBits} bits, but only ${V8_PAYLOAD_BITS} are available`);
+    }
+
+    return fields;
+}
+
+/**
+ * Convert a number, decimal string or 0x-prefixed hex string to a non-negative BigInt
+ */
+function toFieldValue(value, name) {
+    try {
+        const result = BigInt(value);
+        if (result < 0n) {
+            throw new Error('negative');
+        }
+        return result;
+    } catch (error) {
+        throw new Error(`Layout field "${name}" has an invalid value: ${value}`);
+    }
+}
+
+/**
+ * Generate a random BigInt with the given number of bits
+ */
+function randomBits(bits, random = randomBytes) {
+    if (bits === 0) {
+        return 0n;
+    }
+    const bytes = random(Math.ceil(bits / 8));
+    return BigInt(`0x${bytes.toString('hex')}`) & ((1n << BigInt(bits)) - 1n);
+}
+
+/**
+ * Spread a 122-bit payload over the UUID, inserting version 8 and the RFC variant
+ */
+function payloadToUUID(payload) {
+    const high = payload >> 74n; // 48 bits
+    const mid = (payload >> 62n) & 0xFFFn; // 12 bits
+    const low = payload & ((1n << 62n) - 1n); // 62 bits
+
+    const value = (high << 80n) | (0x8n << 76n) | (mid << 64n) | (0x2n << 62n) | low;
+    const hex = value.toString(16).padStart(32, '0');
+
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Extract the 122-bit payload from a normalized (32 hex digit) UUID
+ */
+function uuidToPayload(normalizedUUID) {
+    const value = BigInt(`0x${normalizedUUID}`);
+    const high = value >> 80n;
+    const mid = (value >> 64n) & 0xFFFn;
+    const low = value & ((1n << 62n) - 1n);
+
+    return (high << 74n) | (mid << 62n) | low;
+}
+
+/**
+ * Build a UUID v8 from a layout descriptor.
+ * options.now sets the timestamp; options.random(size) replaces the system CSPRNG.
+ */
+export function buildV8UUID(layout, options = {}) {
+    const { now = Date.now(), random = randomBytes } = options;
+    const fields = validateV8Layout(layout);
+
+    let payload = 0n;
+    let usedBits = 0;
+
+    for (const field of fields) {
+        const width = BigInt(field.bits);
+        const mask = (1n << width) - 1n;
+        let value;
+
+        if (field.type === 'fixed') {
+            value = field.value;
+        } else if (field.type === 'timestamp') {
+            // Unix milliseconds, truncated to the field width
+            value = BigInt(now) & mask;
+        } else {
+            value = randomBits(field.bits, random);
+        }
+
+        payload = (payload << width) | value;
+        usedBits += field.bits;
+    }
+
+    const remaining = V8_PAYLOAD_BITS - usedBits;
+    payload = (payload << BigInt(remaining)) | randomBits(remaining, random);
+
+    return payloadToUUID(payload);
+}
+
+/**
+ * Decode the fields of a UUID v8 according to a layout descriptor
+ */
+export function decodeV8Fields(normalizedUUID, layout) {
+    const fields = validateV8Layout(layout);
+    const payload = uuidToPayload(normalizedUUID);
+
+    const decoded = {};
+    let offset = V8_PAYLOAD_BITS;
+
+    for (const field of fields) {
+        offset -= field.bits;
+        const value = (payload >> BigInt(offset)) & ((1n << BigInt(field.bits)) - 1n);
+
+        const entry = {
+            bits: field.bits,
+            type: field.type,
+            value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString(),
+            hex: `0x${value.toString(16)}`,
+        };
+
+        // Truncated timestamps cannot be mapped back to a date
+        if (field.type === 'timestamp' && field.bits >= 41) {
+            entry.iso = new Date(Number(value)).toISOString();
+        }
+        if (field.type === 'fixed' && value !== field.value) {
+            entry.expected = field.value.toString();
+        }
+
+        decoded[field.name] = entry;
+    }
+
+    if (offset > 0) {
+        decoded._unassigned = {
+            bits: offset,
+            type: 'random',
+            hex: `0x${(payload & ((1n << BigInt(offset)) - 1n)).toString(16)}`,
+        };
+    }
+
+    return decoded;
+}
@@ -1,446 +1,320 @@
+import { createHash, randomBytes } from 'crypto';
 import { Actor } from 'apify';
-import { v1 as uuidv1, v4 as uuidv4, v5 as uuidv5 } from 'uuid';
-import {
-    validateUUID,
-    getUUIDVersion,
-    analyzeUUID,
-    convertUUIDFormat,
-    checkCollisions,
-    batchValidate,
-    batchAnalyze,
-    generateStatistics,
-} from './utils.js';
-
-// Predefined namespace UUIDs
-const NAMESPACES = {
-    DNS: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
-    URL: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
-    OID: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
-    X500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8',
+import { hasStorageSource, describeSource, readUUIDSource } from './sources.js';
+import { checkCollisionsStreaming } from './collisions.js';
+import { formatOutput } from './formats.js';
+import { createUUIDGenerator } from './generate.js';
+import { findOperation, parseArguments, MAX_INLINE_UUIDS } from './operations.js';
+import { openNamespaceRegistry } from './namespaces.js';
+
+// Generate flushes UUIDs to the dataset in chunks and records its progress under this key
+const GENERATE_CHUNK_SIZE = 10000;
+const GENERATE_STATE_KEY = 'GENERATE_STATE';
+
+// Named key-value store that keeps the custom namespace registry across runs
+const NAMESPACE_STORE_NAME = 'uuid-namespaces';
+
+// Actor log for the operations' progress, warnings and reports
+const context = {
+    log: console.log,
+    warn: message => console.warn(`Warning: ${message}`),
 };
 
 /**
- * Format UUID according to user preferences
+ * Generate metadata for a UUID. Seeded and backfilled UUIDs report the time embedded
+ * by their generator; seeded UUIDs are marked non-cryptographic.
  */
-function formatUUID(uuid, { uppercase = false, removeDashes = false }) {
-    let formatted = uuid;
-    if (removeDashes) {
-        formatted = formatted.replace(/-/g, '');
-    }
-    if (uppercase) {
-        formatted = formatted.toUpperCase();
+function generateMetadata(uuid, version, generator) {
+    const metadata = {
+        uuid,
+        version,
+        timestamp: generator.timestamp(),
+        format: version === 'ulid' ? 'ulid' : (uuid.includes('-') ? 'standard' : 'compact'),
+    };
+    if (generator.seeded) {
+        metadata.seeded = true;
+        metadata.cryptographic = false;
     }
-    return formatted;
+    return metadata;
 }
 
 /**
- * Generate UUIDs based on version and configuration
+ * Export data in different formats; options carries the SQL settings
+ * (sqlDialect, sqlTable, sqlStatement) from the input and, for results that wrap
+ * a list, the rowsKey of the list the tabular formats write row by row
  */
-function generateUUID(version, config) {
-    let uuid;
-
-    switch (version) {
-        case 'v1':
-            uuid = uuidv1();
-            break;
-        case 'v4':
-            uuid = uuidv4();
-            break;
-        case 'v5':
-            // Determine namespace
-            let namespace = NAMESPACES[config.namespace] || config.namespace;
-
-            // If custom namespace is not a valid UUID, use DNS namespace as fallback
-            const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-            if (!uuidRegex.test(namespace)) {
-                console.warn(`Invalid namespace UUID: ${namespace}. Using DNS namespace as fallback.`);
-                namespace = NAMESPACES.DNS;
-            }
+async function exportData(data, format, keyName = 'OUTPUT', options = {}) {
+    const keyValueStore = await Actor.openKeyValueStore();
 
-            const name = config.name || 'default-name';
-            uuid = uuidv5(name, namespace);
-            break;
-        default:
-            throw new Error(`Unsupported UUID version: ${version}`);
+    if (format === 'json') {
+        await keyValueStore.setValue(keyName, data);
+        return;
     }
 
-    return formatUUID(uuid, {
-        uppercase: config.uppercase,
-        removeDashes: config.removeDashes,
+    const { content, extension, contentType } = formatOutput(data, format, {
+        name: keyName.toLowerCase(),
+        sqlDialect: options.sqlDialect,
+        sqlTable: options.sqlTable,
+        sqlStatement: options.sqlStatement,
+        rowsKey: options.rowsKey,
     });
+    await keyValueStore.setValue(`${keyName}.${extension}`, content, { contentType });
 }
 
 /**
- * Generate metadata for a UUID
+ * Hash of every Generate argument and the output format, which together decide
+ * the UUIDs a run produces and the items it stores
  */
-function generateMetadata(uuid, version) {
-    return {
-        uuid,
-        version,
-        timestamp: new Date().toISOString(),
-        format: uuid.includes('-') ? 'standard' : 'compact',
-    };
+function generateFingerprint(args, outputFormat) {
+    return createHash('sha256').update(JSON.stringify({ ...args, outputFormat })).digest('hex');
 }
 
 /**
- * Export data in different formats
+ * Load the progress of an interrupted Generate run. A chunk that was being pushed
+ * when the run stopped is looked up in the dataset, so the items that made it in
+ * are counted once and the rest are generated again. Progress saved by a run with
+ * other arguments is refused, so one dataset never mixes two generations.
  */
-async function exportData(data, format, keyName = 'OUTPUT') {
-    const keyValueStore = await Actor.openKeyValueStore();
-
-    switch (format) {
-        case 'json':
-            await keyValueStore.setValue(keyName, data);
-            break;
-
-        case 'csv':
-            let csvContent;
-            if (Array.isArray(data) && data[0] && typeof data[0] === 'object') {
-                // Generate CSV with headers
-                const headers = Object.keys(data[0]).join(',');
-                const rows = data.map(item => {
-                    return Object.values(item).map(val => {
-                        // Handle nested objects
-                        if (typeof val === 'object' && val !== null) {
-                            val = JSON.stringify(val);
-                        }
-                        return typeof val === 'string' && (val.includes(',') || val.includes('"'))
-                            ? `"${val.replace(/"/g, '""')}"`
-                            : val;
-                    }).join(',');
-                });
-                csvContent = [headers, ...rows].join('\n');
-            } else {
-                // Simple format
-                csvContent = JSON.stringify(data);
-            }
-            await keyValueStore.setValue(`${keyName}.csv`, csvContent, { contentType: 'text/csv' });
-            break;
-
-        case 'text':
-            let textContent;
-            if (Array.isArray(data)) {
-                textContent = data.map(item => {
-                    if (typeof item === 'object') {
-                        return item.uuid || JSON.stringify(item);
-                    }
-                    return item;
-                }).join('\n');
-            } else {
-                textContent = JSON.stringify(data, null, 2);
-            }
-            await keyValueStore.setValue(`${keyName}.txt`, textContent, { contentType: 'text/plain' });
-            break;
+async function loadGenerateState(dataset, count, uuidVersion, fingerprint) {
+    const state = await Actor.getValue(GENERATE_STATE_KEY);
+    if (!state) {
+        // The plan seed lets a resumed backfill draw the same random instants
+        return { count, uuidVersion, fingerprint, generated: 0, pushing: 0, planSeed: randomBytes(16).toString('hex') };
+    }
 
-        default:
-            throw new Error(`Unsupported output format: ${format}`);
+    // The fingerprint covers count and version too; they are kept for the message
+    if (state.fingerprint !== fingerprint) {
+        const sameShape = state.count === count && state.uuidVersion === uuidVersion;
+        throw new Error(`${GENERATE_STATE_KEY} belongs to another generation (${state.count} UUID ${state.uuidVersion}${sameShape ? ' with other arguments' : ''}); delete it to start over`);
     }
+    if (state.pushing > 0) {
+        const { items } = await dataset.getData({ offset: state.generated, limit: state.pushing });
+        state.generated += items.length;
+        state.pushing = 0;
+    }
+    return state;
 }
 
 /**
- * Handle Generate operation
+ * Handle Generate operation. UUIDs are pushed to the dataset in chunks and the
+ * progress is saved in the key-value store before each push, so a migrated or
+ * restarted run continues where it stopped, without duplicates or gaps.
  */
-async function handleGenerate(input) {
-    const {
-        uuidVersion = 'v4',
-        count = 10,
-        namespace = 'DNS',
-        name,
-        outputFormat = 'json',
-        includeMetadata = true,
-        uppercase = false,
-        removeDashes = false,
-    } = input;
+async function handleGenerate(args, input, runContext) {
+    const { version, count, includeMetadata } = args;
+    const { outputFormat = 'json' } = input;
 
     console.log('Starting UUID generation...');
-    console.log(`Configuration: ${JSON.stringify({ uuidVersion, count, outputFormat, includeMetadata }, null, 2)}`);
-
-    // Validate count
-    if (count < 1 || count > 100000) {
-        throw new Error('Count must be between 1 and 100,000');
-    }
-
-    // Special validation for UUID v5
-    if (uuidVersion === 'v5' && !name) {
-        throw new Error('Name is required for UUID version 5');
-    }
+    console.log(`Configuration: ${JSON.stringify({ uuidVersion: version, count, outputFormat, includeMetadata }, null, 2)}`);
 
-    // Generate UUIDs
-    const uuids = [];
-    const config = { namespace, name, uppercase, removeDashes };
+    const dataset = await Actor.openDataset();
+    const state = await loadGenerateState(dataset, count, version, generateFingerprint(args, outputFormat));
+    const generator = createUUIDGenerator(args, { ...runContext, planSeed: state.planSeed });
 
-    console.log(`Generating ${count} UUID(s) version ${uuidVersion}...`);
+    console.log(`Generating ${count} UUID(s) version ${version}...`);
 
-    // For v5 with same name/namespace, all UUIDs will be identical
-    if (uuidVersion === 'v5' && count > 1) {
-        console.warn('Warning: All UUID v5 will be identical with the same namespace and name combination.');
-        console.warn('Consider using UUID v4 for generating multiple unique identifiers.');
+    // Seeded and backfill generators replay the UUIDs already stored to get back to the same position
+    if (state.generated > 0) {
+        console.log(`Resuming after ${state.generated}/${count} UUIDs...`);
+        if (generator.replayable) {
+            for (let i = 0; i < state.generated; i++) {
+                generator.next();
+            }
+        }
     }
 
-    for (let i = 0; i < count; i++) {
-        const uuid = generateUUID(uuidVersion, config);
+    while (state.generated < count) {
+        const chunk = [];
+        const size = Math.min(GENERATE_CHUNK_SIZE, count - state.generated);
+        for (let i = 0; i < size; i++) {
+            const uuid = generator.next();
 
-        if (includeMetadata && outputFormat === 'json') {
-            uuids.push(generateMetadata(uuid, uuidVersion));
-        } else {
-            uuids.push({ uuid });
+            if (includeMetadata && !['csv', 'text'].includes(outputFormat)) {
+                chunk.push(generateMetadata(uuid, version, generator));
+            } else if (generator.seeded) {
+                chunk.push({ uuid, cryptographic: false });
+            } else {
+                chunk.push({ uuid });
+            }
         }
 
+        // Save the progress first, so a restart during the push can tell how much of the chunk arrived
+        state.pushing = chunk.length;
+        await Actor.setValue(GENERATE_STATE_KEY, state);
+        await dataset.pushData(chunk);
+        state.generated += chunk.length;
+        state.pushing = 0;
+
         // Log progress for large batches
-        if (count > 1000 && (i + 1) % 1000 === 0) {
-            console.log(`Generated ${i + 1}/${count} UUIDs...`);
+        if (count > GENERATE_CHUNK_SIZE) {
+            console.log(`Generated ${state.generated}/${count} UUIDs...`);
         }
     }
+    await Actor.setValue(GENERATE_STATE_KEY, state);
 
     console.log(`Successfully generated ${count} UUID(s)`);
 
-    // Save to dataset
-    await Actor.pushData(uuids);
-
-    // Export in requested format
-    await exportData(uuids, outputFormat);
+    // Export in requested format; read back from the dataset, which also holds the UUIDs of earlier attempts
+    let sample;
+    if (count <= MAX_INLINE_UUIDS) {
+        const { items } = await dataset.getData({ limit: count });
+        await exportData(items, outputFormat, 'OUTPUT', input);
+        sample = items.slice(0, 5);
+    } else {
+        console.log(`${count} UUIDs are too many for one OUTPUT record; export them from the dataset instead`);
+        ({ items: sample } = await dataset.getData({ limit: 5 }));
+    }
 
     // Log sample
-    const sampleSize = Math.min(5, uuids.length);
-    console.log(`\nSample (first ${sampleSize}):`);
-    uuids.slice(0, sampleSize).forEach((item, index) => {
-        const uuid = typeof item === 'object' ? item.uuid : item;
-        console.log(`  ${index + 1}. ${uuid}`);
+    console.log(`\nSample (first ${sample.length}):`);
+    sample.forEach((item, index) => {
+        console.log(`  ${index + 1}. ${item.uuid}`);
     });
 
     console.log(`\nGeneration completed!`);
 }
 
 /**
- * Handle Validate operation
- */
-async function handleValidate(input) {
-    const { uuid, outputFormat = 'json' } = input;
-
-    if (!uuid) {
-        throw new Error('UUID is required for validation');
-    }
-
-    console.log(`Validating UUID: ${uuid}`);
-
-    const valid = validateUUID(uuid);
-    const version = valid ? getUUIDVersion(uuid) : null;
-
-    const result = {
-        uuid,
-        valid,
-        version,
-        message: valid ? `Valid UUID version ${version}` : 'Invalid UUID',
-    };
-
-    await Actor.pushData([result]);
-    await exportData(result, outputFormat, 'VALIDATION_RESULT');
-
-    console.log(`Validation result: ${result.message}`);
-}
-
-/**
- * Handle Analyze operation
- */
-async function handleAnalyze(input) {
-    const { uuid, outputFormat = 'json' } = input;
-
-    if (!uuid) {
-        throw new Error('UUID is required for analysis');
-    }
-
-    console.log(`Analyzing UUID: ${uuid}`);
-
-    const analysis = analyzeUUID(uuid);
-
-    await Actor.pushData([analysis]);
-    await exportData(analysis, outputFormat, 'ANALYSIS_RESULT');
-
-    if (analysis.valid) {
-        console.log(`Analysis completed: UUID v${analysis.version}, ${analysis.type}`);
-    } else {
-        console.log(`Analysis failed: ${analysis.error}`);
-    }
-}
-
-/**
- * Handle Convert operation
+ * Read the UUIDs for a batch operation from a dataset, key-value store record
+ * or uploaded file
  */
-async function handleConvert(input) {
-    const { uuid, uppercase = false, removeDashes = false, outputFormat = 'json' } = input;
-
-    if (!uuid) {
-        throw new Error('UUID is required for conversion');
+async function loadSourceUUIDs(input, operation) {
+    const uuids = [];
+    let missing = 0;
+    for await (const value of readUUIDSource(input)) {
+        if (value === undefined || value === null || value === '') {
+            missing++;
+        } else {
+            uuids.push(String(value));
+        }
     }
 
-    console.log(`Converting UUID: ${uuid}`);
-
-    try {
-        const converted = convertUUIDFormat(uuid, { uppercase, removeDashes });
-
-        const result = {
-            original: uuid,
-            converted,
-            options: { uppercase, removeDashes },
-        };
-
-        await Actor.pushData([result]);
-        await exportData(result, outputFormat, 'CONVERSION_RESULT');
-
-        console.log(`Converted: ${uuid} → ${converted}`);
-    } catch (error) {
-        throw new Error(`Conversion failed: ${error.message}`);
+    console.log(`Read ${uuids.length} UUIDs from ${describeSource(input)}`);
+    if (missing > 0) {
+        console.warn(`Warning: skipped ${missing} row(s) without a value in "${input.sourceField || 'uuid'}"`);
     }
-}
-
-/**
- * Handle Batch Validate operation
- */
-async function handleBatchValidate(input) {
-    const { uuids, outputFormat = 'json' } = input;
-
-    if (!uuids || !Array.isArray(uuids) || uuids.length === 0) {
-        throw new Error('Array of UUIDs is required for batch validation');
+    if (uuids.length === 0) {
+        throw new Error(`No UUIDs found in ${describeSource(input)} for ${operation}`);
     }
-
-    console.log(`Validating ${uuids.length} UUIDs...`);
-
-    const results = batchValidate(uuids);
-
-    await Actor.pushData(results.results);
-    await exportData(results, outputFormat, 'BATCH_VALIDATION');
-
-    console.log(`Batch validation completed: ${results.valid} valid, ${results.invalid} invalid`);
+    return uuids;
 }
 
 /**
- * Handle Batch Analyze operation
+ * Check a dataset or key-value store record for collisions with bounded memory
  */
-async function handleBatchAnalyze(input) {
-    const { uuids, outputFormat = 'json' } = input;
-
-    if (!uuids || !Array.isArray(uuids) || uuids.length === 0) {
-        throw new Error('Array of UUIDs is required for batch analysis');
-    }
-
-    console.log(`Analyzing ${uuids.length} UUIDs...`);
-
-    const results = batchAnalyze(uuids);
-
-    await Actor.pushData(results.results);
-    await exportData(results, outputFormat, 'BATCH_ANALYSIS');
-
-    console.log(`Batch analysis completed: ${results.valid} valid, ${results.invalid} invalid`);
-    console.log(`Version breakdown:`, results.versionBreakdown);
-}
-
-/**
- * Handle Check Collisions operation
- */
-async function handleCheckCollisions(input) {
-    const { uuids, outputFormat = 'json' } = input;
-
-    if (!uuids || !Array.isArray(uuids) || uuids.length === 0) {
-        throw new Error('Array of UUIDs is required for collision checking');
+async function handleStreamingCollisions(args, input) {
+    const { chunkSize } = args;
+    const { outputFormat = 'json' } = input;
+
+    console.log(`Streaming UUIDs from ${describeSource(input)} for collision checking (chunk size ${chunkSize})...`);
+
+    // Duplicate groups go to the dataset as they are found, so none are lost to the summary limit
+    let pending = [];
+    const results = await checkCollisionsStreaming(readUUIDSource(input), {
+        chunkSize,
+        onDuplicateGroup: async (group) => {
+            pending.push(group);
+            if (pending.length >= 1000) {
+                await Actor.pushData(pending);
+                pending = [];
+            }
+        },
+        onProgress: ({ read, runs }) => {
+            console.log(`Read ${read} UUIDs, ${runs} sorted run(s) written...`);
+        },
+    });
+    if (pending.length > 0) {
+        await Actor.pushData(pending);
     }
 
-    console.log(`Checking ${uuids.length} UUIDs for collisions...`);
-
-    const results = checkCollisions(uuids);
-
-    await Actor.pushData([results]);
-    await exportData(results, outputFormat, 'COLLISION_CHECK');
+    await exportData(results, outputFormat, 'COLLISION_CHECK', input);
 
     console.log(`Collision check completed:`);
     console.log(`  Total: ${results.total}`);
     console.log(`  Unique: ${results.unique}`);
-    console.log(`  Duplicates: ${results.duplicates}`);
+    console.log(`  Duplicates: ${results.duplicates} in ${results.duplicateGroupCount} group(s)`);
 
-    if (results.duplicates > 0) {
+    if (results.duplicateGroupCount > 0) {
         console.log(`\nCollisions found:`);
-        results.collisions.slice(0, 5).forEach(c => {
-            console.log(`  - ${c.uuid} at index ${c.index}`);
+        results.duplicateGroups.slice(0, 5).forEach(g => {
+            console.log(`  - ${g.uuid} at indices ${g.indices.join(', ')}`);
         });
     }
 }
 
 /**
- * Handle Statistics operation
+ * Run a registry operation: parse the input, compute the result, push its rows
+ * to the dataset, export it and log the report. Generate and collision checks
+ * over a storage source stream instead of building one result.
  */
-async function handleStatistics(input) {
-    const { uuids, outputFormat = 'json' } = input;
-
-    if (!uuids || !Array.isArray(uuids) || uuids.length === 0) {
-        throw new Error('Array of UUIDs is required for statistics generation');
+async function runOperation(operation, input) {
+    const { outputFormat = 'json' } = input;
+    const fromSource = operation.sources && hasStorageSource(input);
+    const args = parseArguments(operation, input, { surface: 'actor', provided: fromSource ? ['uuids'] : [] });
+
+    // Operations that resolve or manage named namespaces get the registry
+    const runContext = operation.namespaces
+        ? { ...context, namespaces: await openNamespaceRegistry(await Actor.openKeyValueStore(NAMESPACE_STORE_NAME)) }
+        : context;
+
+    if (operation.name === 'generate') {
+        await handleGenerate(args, input, runContext);
+        return;
+    }
+    if (fromSource && operation.name === 'check_collisions') {
+        await handleStreamingCollisions(args, input);
+        return;
+    }
+    if (fromSource) {
+        args.uuids = await loadSourceUUIDs(input, operation.name);
     }
 
-    console.log(`Generating statistics for ${uuids.length} UUIDs...`);
-
-    const stats = generateStatistics(uuids);
+    const result = await operation.run(args, runContext);
 
-    await Actor.pushData([stats]);
-    await exportData(stats, outputFormat, 'STATISTICS');
+    const { key, rowsKey, exportRows } = operation.output;
+    const rows = rowsKey ? result[rowsKey] : [result];
+    await Actor.pushData(rows);
+    await exportData(exportRows ? rows : result, outputFormat, key, { ...input, rowsKey: exportRows ? undefined : rowsKey });
 
-    console.log(`\nStatistics:`);
-    console.log(`  Total UUIDs: ${stats.total}`);
-    console.log(`  Version breakdown:`, stats.versions);
-    console.log(`  Format breakdown:`, stats.formats);
-    console.log(`  Variant breakdown:`, stats.variants);
+    if (operation.report) {
+        operation.report(result, args, runContext);
+    }
 }
 
 /**
- * Main Actor entry point
+ * Main Actor entry point. In standby mode the Actor serves the MCP tools over
+ * HTTP to any number of agents instead of running one operation.
  */
-await Actor.main(async () => {
-    // Get input
-    const input = await Actor.getInput();
-
-    // Validate input
-    if (!input) {
-        throw new Error('Input is required');
-    }
-
-    const { operation = 'generate' } = input;
-
-    console.log(`Starting operation: ${operation}`);
-
-    // Route to appropriate handler
-    switch (operation) {
-        case 'generate':
-            await handleGenerate(input);
-            break;
-
-        case 'validate':
-            await handleValidate(input);
-            break;
-
-        case 'analyze':
-            await handleAnalyze(input);
-            break;
-
-        case 'convert':
-            await handleConvert(input);
-            break;
-
-        case 'batch_validate':
-            await handleBatchValidate(input);
-            break;
-
-        case 'batch_analyze':
-            await handleBatchAnalyze(input);
-            break;
+if (Actor.config.get('metaOrigin') === 'STANDBY') {
+    await Actor.init();
+    const { startHTTPServer } = await import('./mcp.js');
+    await startHTTPServer({
+        port: Actor.config.get('standbyPort'),
+        host: '0.0.0.0',
+        authToken: process.env.MCP_AUTH_TOKEN,
+        namespaceStore: await Actor.openKeyValueStore(NAMESPACE_STORE_NAME),
+    });
+} else {
+    await Actor.main(async () => {
+        // Get input
+        const input = await Actor.getInput();
+
+        // Validate input
+        if (!input) {
+            throw new Error('Input is required');
+        }
 
-        case 'check_collisions':
-            await handleCheckCollisions(input);
-            break;
+        const { operation = 'generate' } = input;
 
-        case 'statistics':
-            await handleStatistics(input);
-            break;
+        console.log(`Starting operation: ${operation}`);
 
-        default:
+        // Route to the registered operation
+        const registered = findOperation(operation);
+        if (!registered) {
             throw new Error(`Unknown operation: ${operation}`);
-    }
+        }
+        await runOperation(registered, input);
 
-    console.log('\nOperation completed successfully!');
-});
+        console.log('\nOperation completed successfully!');
+    });
+}
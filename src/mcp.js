@@ -0,0 +1,328 @@
+import { createServer } from 'http';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import {
+    CallToolRequestSchema,
+    ErrorCode,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    isInitializeRequest,
+} from '@modelcontextprotocol/sdk/types.js';
+import { OPERATIONS, findOperation, parseArguments, toolInputSchema } from './operations.js';
+import { listResources, readResource, RESOURCE_TEMPLATES } from './resources.js';
+import { PROMPTS, getPrompt } from './prompts.js';
+import { openNamespaceRegistry, localNamespaceStore } from './namespaces.js';
+
+// Streamable HTTP endpoint, and the endpoints of the older HTTP+SSE transport for clients without it
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+
+// Same request size limit as the SDK's own body parsing
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Streamable HTTP sessions that clients abandon without a DELETE are closed after this long
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Create an MCP server with one tool per registered operation, plus reference
+ * resources and prompt templates. Each transport connection (stdio, or an HTTP
+ * session) gets a server of its own, which also holds the session's history.
+ * Custom namespaces are kept in options.namespaceStore, a local file by default.
+ */
+export function createMCPServer(options = {}) {
+    const { namespaceStore = localNamespaceStore() } = options;
+    const session = { lastBatch: null };
+
+    const server = new Server(
+        {
+            name: 'uuid-generator-server',
+            version: '2.0.0',
+        },
+        {
+            capabilities: {
+                tools: {},
+                resources: {},
+                prompts: {},
+            },
+        },
+    );
+
+    /**
+     * List available tools, one per registered operation
+     */
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        return {
+            tools: OPERATIONS.map(operation => ({
+                name: operation.tool,
+                description: operation.description,
+                inputSchema: toolInputSchema(operation),
+            })),
+        };
+    });
+
+    /**
+     * Handle tool calls. Warnings about the input come back as a second text block.
+     */
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name, arguments: args } = request.params;
+
+        try {
+            const operation = findOperation(name, { tool: true });
+            if (!operation) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+
+            // The transport may be stdout, so progress messages are dropped
+            const warnings = [];
+            const parsed = parseArguments(operation, args);
+            const result = await operation.run(parsed, {
+                log: () => {},
+                warn: message => warnings.push(`Warning: ${message}`),
+                // Opened per call, so changes made by other sessions are seen
+                ...(operation.namespaces && { namespaces: await openNamespaceRegistry(namespaceStore) }),
+            });
+
+            if (operation.name === 'generate') {
+                session.lastBatch = { generatedAt: new Date().toISOString(), arguments: parsed, ...result };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(result, null, 2),
+                    },
+                    ...(warnings.length > 0 ? [{ type: 'text', text: warnings.join('\n') }] : []),
+                ],
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({ error: error.message }, null, 2),
+                    },
+                ],
+                isError: true,
+            };
+        }
+    });
+
+    /**
+     * List and read resources: namespaces, version layouts and the last generated batch
+     */
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+        return { resources: listResources() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+        return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        try {
+            const namespaces = await openNamespaceRegistry(namespaceStore);
+            return { contents: [readResource(request.params.uri, { ...session, namespaces })] };
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+    });
+
+    /**
+     * List and fill in prompt templates
+     */
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+        return {
+            prompts: PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+        };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+        try {
+            return getPrompt(request.params.name, request.params.arguments);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+    });
+
+    return server;
+}
+
+/**
+ * Send a JSON-RPC error outside of a session, the way the SDK transports do
+ */
+function sendError(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+async function readJSONBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new Error('Request body is too large');
+        }
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Check the bearer token of a request. Hashing both sides first lets tokens of
+ * any length be compared in constant time.
+ */
+function isAuthorized(req, authToken) {
+    const match = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        return false;
+    }
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1]), digest(authToken));
+}
+
+/**
+ * Serve the MCP tools over HTTP: Streamable HTTP on /mcp, and the older HTTP+SSE
+ * transport on /sse (event stream) and /messages (client messages). Every client
+ * session has its own server, so any number of agents can share one process.
+ *
+ * With authToken set, MCP requests must carry "Authorization: Bearer <token>".
+ * namespaceStore is passed on to the servers (see createMCPServer).
+ * GET / answers without a token, for health checks. Resolves with the listening
+ * http.Server.
+ */
+export async function startHTTPServer(options = {}) {
+    const { port = 3000, host = '127.0.0.1', authToken, namespaceStore, log = console.log } = options;
+
+    // Transports by session ID, with the time of their last request
+    const sessions = new Map();
+
+    const findSession = (sessionId, type) => {
+        const session = sessions.get(sessionId);
+        if (!session || !(session.transport instanceof type)) {
+            return null;
+        }
+        session.lastSeen = Date.now();
+        return session.transport;
+    };
+
+    const handleStreamableRequest = async (req, res) => {
+        const sessionId = req.headers['mcp-session-id'];
+        let body;
+        if (req.method === 'POST') {
+            try {
+                body = await readJSONBody(req);
+            } catch (error) {
+                sendError(res, 400, `Invalid request body: ${error.message}`);
+                return;
+            }
+        }
+
+        let transport;
+        if (sessionId) {
+            transport = findSession(sessionId, StreamableHTTPServerTransport);
+            if (!transport) {
+                sendError(res, 404, 'Session not found');
+                return;
+            }
+        } else if (req.method === 'POST' && isInitializeRequest(body)) {
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (id) => {
+                    sessions.set(id, { transport, lastSeen: Date.now() });
+                },
+            });
+            transport.onclose = () => {
+                sessions.delete(transport.sessionId);
+            };
+            await createMCPServer({ namespaceStore }).connect(transport);
+        } else {
+            sendError(res, 400, 'Missing Mcp-Session-Id header; start a session with an initialize request');
+            return;
+        }
+
+        await transport.handleRequest(req, res, body);
+    };
+
+    const handleSSEStream = async (req, res) => {
+        const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+        sessions.set(transport.sessionId, { transport, lastSeen: Date.now() });
+        res.on('close', () => {
+            sessions.delete(transport.sessionId);
+        });
+        await createMCPServer({ namespaceStore }).connect(transport);
+    };
+
+    const handleSSEMessage = async (req, res, url) => {
+        const transport = findSession(url.searchParams.get('sessionId'), SSEServerTransport);
+        if (!transport) {
+            sendError(res, 404, 'Session not found');
+            return;
+        }
+        await transport.handlePostMessage(req, res);
+    };
+
+    const server = createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ name: 'uuid-generator-server', sessions: sessions.size }));
+                return;
+            }
+            if (![MCP_PATH, SSE_PATH, SSE_MESSAGES_PATH].includes(url.pathname)) {
+                sendError(res, 404, `Not found: ${url.pathname}`);
+                return;
+            }
+            if (authToken && !isAuthorized(req, authToken)) {
+                sendError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+                return;
+            }
+
+            if (url.pathname === MCP_PATH) {
+                await handleStreamableRequest(req, res);
+            } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+                await handleSSEStream(req, res);
+            } else if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+                await handleSSEMessage(req, res, url);
+            } else {
+                sendError(res, 405, 'Method not allowed');
+            }
+        } catch (error) {
+            log(`MCP request failed: ${error.message}`);
+            if (!res.headersSent) {
+                sendError(res, 500, 'Internal server error');
+            }
+        }
+    });
+
+    // Close idle Streamable HTTP sessions; SSE sessions end with their stream
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+        for (const { transport, lastSeen } of sessions.values()) {
+            if (transport instanceof StreamableHTTPServerTransport && lastSeen < cutoff) {
+                transport.close();
+            }
+        }
+    }, 60 * 1000);
+    sweep.unref();
+    server.on('close', () => clearInterval(sweep));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    log(`UUID Generator MCP Server listening on http://${host}:${port} (Streamable HTTP at ${MCP_PATH}, SSE at ${SSE_PATH})`);
+    return server;
+}
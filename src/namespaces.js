@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
+
+// Predefined namespace UUIDs (RFC 9562, Section 6.6)
+export const NAMESPACES = {
+    DNS: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+    URL: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+    OID: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+    X500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8',
+};
+
+// Key-value store record that holds the custom namespaces, by name
+export const NAMESPACE_RECORD_KEY = 'NAMESPACES';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One level of a namespace name; levels are joined with "/"
+const SEGMENT_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Split a namespace name into its levels (acme/billing/invoice)
+ */
+function splitName(name) {
+    const segments = String(name).trim().split('/');
+    if (!segments.every(segment => SEGMENT_REGEX.test(segment))) {
+        throw new Error(`Invalid namespace name: ${name}. Use letters, digits, dots, dashes and underscores, with / between levels`);
+    }
+    return segments;
+}
+
+/**
+ * Resolve a namespace: a UUID, a predefined name (DNS, URL, OID, X500), a custom
+ * namespace from the registry's entries, or a path of child namespaces below
+ * one of those (acme/billing/invoice), each level being the v5 UUID of its name
+ * in the parent. Unknown names throw instead of falling back to another namespace.
+ */
+export function resolveNamespace(namespaceInput, custom = {}) {
+    const [root, ...children] = splitName(namespaceInput);
+
+    let namespace = UUID_REGEX.test(root) ? root.toLowerCase() : (NAMESPACES[root] || custom[root]?.uuid);
+    if (!namespace) {
+        throw new Error(`Unknown namespace: ${root}. Use a namespace UUID, one of ${Object.keys(NAMESPACES).join(', ')}, or a registered namespace`);
+    }
+    for (const child of children) {
+        namespace = uuidv5(child, namespace);
+    }
+    return namespace;
+}
+
+/**
+ * Open the registry of custom namespaces kept in a key-value store: an Apify
+ * KeyValueStore, or anything else with getValue(key) and setValue(key, value).
+ * Changes are saved to the store right away.
+ */
+export async function openNamespaceRegistry(store) {
+    const custom = (await store.getValue(NAMESPACE_RECORD_KEY)) || {};
+    const save = () => store.setValue(NAMESPACE_RECORD_KEY, custom);
+
+    return {
+        /**
+         * Resolve a namespace UUID, name or path against the registry
+         */
+        resolve(namespace) {
+            return resolveNamespace(namespace, custom);
+        },
+
+        /**
+         * Predefined namespaces followed by the custom ones, by name
+         */
+        list() {
+            return [
+                ...Object.entries(NAMESPACES).map(([name, uuid]) => ({ name, uuid, builtIn: true })),
+                ...Object.keys(custom).sort().map(name => custom[name]),
+            ];
+        },
+
+        /**
+         * Register a namespace. A top-level one takes the given UUID or a random
+         * one; a child (acme/billing) is derived from its parent, which must resolve.
+         */
+        async add(name, { uuid, description } = {}) {
+            const segments = splitName(name);
+            const fullName = segments.join('/');
+            if (NAMESPACES[fullName] || custom[fullName]) {
+                throw new Error(`Namespace ${fullName} is already registered`);
+            }
+            if (UUID_REGEX.test(segments[0]) && segments.length === 1) {
+                throw new Error('A namespace name cannot be a UUID');
+            }
+            if (uuid && !UUID_REGEX.test(uuid)) {
+                throw new Error(`Invalid namespace UUID: ${uuid}`);
+            }
+
+            let entry;
+            if (segments.length > 1) {
+                const parent = segments.slice(0, -1).join('/');
+                entry = { name: fullName, uuid: resolveNamespace(fullName, custom), parent };
+                if (uuid && uuid.toLowerCase() !== entry.uuid) {
+                    throw new Error(`${fullName} is derived from ${parent} as ${entry.uuid}; omit the UUID for child namespaces`);
+                }
+            } else {
+                entry = { name: fullName, uuid: uuid ? uuid.toLowerCase() : uuidv4() };
+            }
+            if (description) {
+                entry.description = description;
+            }
+            entry.createdAt = new Date().toISOString();
+
+            custom[fullName] = entry;
+            await save();
+            return entry;
+        },
+
+        /**
+         * Unregister a custom namespace; registered children have to go first
+         */
+        async remove(name) {
+            const fullName = splitName(name).join('/');
+            if (NAMESPACES[fullName]) {
+                throw new Error(`${fullName} is a predefined namespace and cannot be removed`);
+            }
+            const entry = custom[fullName];
+            if (!entry) {
+                throw new Error(`Unknown namespace: ${fullName}`);
+            }
+            const children = Object.keys(custom).filter(other => other.startsWith(`${fullName}/`));
+            if (children.length > 0) {
+                throw new Error(`${fullName} has registered child namespaces (${children.join(', ')}); remove them first`);
+            }
+
+            delete custom[fullName];
+            await save();
+            return entry;
+        },
+    };
+}
+
+/**
+ * Key-value store for the namespace registry outside the Actor: a JSON file
+ * holding the NAMESPACES record, UUID_NAMESPACES_FILE or
+ * ~/.uuid-generator/namespaces.json by default
+ */
+export function localNamespaceStore(path = process.env.UUID_NAMESPACES_FILE || join(homedir(), '.uuid-generator', 'namespaces.json')) {
+    return {
+        async getValue() {
+            try {
+                return JSON.parse(await fs.readFile(path, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async setValue(key, value) {
+            // Write a temporary file first, so a crash never leaves half a registry
+            await fs.mkdir(dirname(path), { recursive: true });
+            await fs.writeFile(`${path}.tmp`, JSON.stringify(value, null, 2));
+            await fs.rename(`${path}.tmp`, path);
+        },
+    };
+}
@@ -0,0 +1,666 @@
+import {
+    validateWithDiagnostics,
+    analyzeUUID,
+    convertUUIDFormat,
+    convertTimeBasedUUID,
+    checkCollisions,
+    batchValidate,
+    batchAnalyze,
+    generateStatistics,
+    parseNameList,
+    generateNameMapping,
+} from './utils.js';
+import { encodeUUID, decodeUUID, isStrictEncoding, describeRepresentations } from './encodings.js';
+import { extractUUIDs } from './extract.js';
+import { buildTimeline } from './timeline.js';
+import { calculateCollisionProbability } from './probability.js';
+import { SEEDED_PRNG } from './seeded.js';
+import { sortUUIDs } from './collation.js';
+import { createUUIDGenerator, formatUUID } from './generate.js';
+import { resolveNamespace } from './namespaces.js';
+import { INPUT_FIELDS } from './fields.js';
+
+// Up to this many generated UUIDs come back in one piece: an MCP response or the Actor's OUTPUT record
+export const MAX_INLINE_UUIDS = 100000;
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Parameter of an operation, backed by an input field. arg is its MCP tool
+ * argument name (the field key unless renamed); the other options replace parts
+ * of the field's schema for this operation only.
+ *
+ * Flags: required, actorOnly (no MCP argument), orString (an array parameter
+ * that also takes a single string).
+ */
+function param(field, options = {}) {
+    return { field, arg: field, ...options };
+}
+
+/**
+ * Registry of operations. Each one drives an Actor operation (name), an MCP
+ * tool (tool) and its part of the Actor input schema, so they share parameters,
+ * defaults, validation and behavior.
+ *
+ * run(args, context) computes the result from the parsed arguments; context.log
+ * reports progress and context.warn flags questionable input. The Actor pushes
+ * the result to the dataset (output.rowsKey names the list whose items become
+ * rows), exports it under output.key and logs a summary with report(); the MCP
+ * server returns it as JSON with the warnings attached. sources marks operations
+ * whose UUIDs the Actor can read from a dataset, record or file; namespaces marks
+ * operations that get the custom namespace registry as context.namespaces.
+ */
+export const OPERATIONS = [
+    {
+        name: 'generate',
+        tool: 'generate_uuid',
+        title: 'Generate - Create new UUIDs',
+        description: 'Generate UUIDs with specified version (v1, v3, v4, v5, v6, v7, or v8) or ULIDs, with options',
+        params: [
+            param('uuidVersion', {
+                arg: 'version',
+                description: 'UUID version to generate: v1 (timestamp), v3 (namespace, MD5), v4 (random), v5 (namespace, SHA-1), v6 (reordered timestamp), v7 (Unix time-ordered), v8 (custom layout), or ulid',
+            }),
+            param('count', {
+                description: 'Number of UUIDs to generate (1-50,000,000). MCP responses hold at most 100,000; the Actor streams larger batches to its dataset. Backfills are limited to 1,000,000.',
+            }),
+            param('namespace'),
+            param('name'),
+            param('v8Layout', { arg: 'layout' }),
+            param('monotonic'),
+            param('seed'),
+            param('seedTime'),
+            param('timestamp'),
+            param('timestampFrom'),
+            param('timestampTo'),
+            param('timestampDistribution', { arg: 'distribution' }),
+            param('nodeId'),
+            param('clockSequence'),
+            param('includeMetadata', { actorOnly: true }),
+            param('uppercase'),
+            param('removeDashes'),
+        ],
+        namespaces: true,
+        output: { key: 'OUTPUT' },
+        run(args, context) {
+            if (args.count > MAX_INLINE_UUIDS) {
+                throw new Error(`At most ${MAX_INLINE_UUIDS.toLocaleString('en-US')} UUIDs are returned at once; run the Actor to stream larger batches to a dataset`);
+            }
+
+            const generator = createUUIDGenerator(args, context);
+            const uuids = [];
+            const timestamps = [];
+            for (let i = 0; i < args.count; i++) {
+                uuids.push(generator.next());
+                if (generator.backfill) {
+                    timestamps.push(generator.timestamp());
+                }
+            }
+
+            return {
+                count: uuids.length,
+                version: args.version,
+                ...(generator.seeded && { seeded: { prng: SEEDED_PRNG, cryptographic: false } }),
+                uuids,
+                ...(generator.backfill && { timestamps }),
+            };
+        },
+    },
+    {
+        name: 'validate',
+        tool: 'validate_uuid',
+        title: 'Validate - Check if UUID is valid',
+        description: 'Validate a UUID string and return its version. Accepts braces, urn:uuid:, quotes and surrounding whitespace; invalid input is explained with exact positions (non-hex characters, misplaced dashes, wrong version or variant bits)',
+        params: [
+            param('uuid', { description: 'UUID string to validate', required: true }),
+        ],
+        output: { key: 'VALIDATION_RESULT' },
+        run({ uuid }, { log }) {
+            log(`Validating UUID: ${uuid}`);
+
+            const result = validateWithDiagnostics(uuid);
+            result.message = result.valid
+                ? `Valid UUID version ${result.version}`
+                : `Invalid UUID: ${result.errors.map(e => e.message).join('; ')}`;
+            return result;
+        },
+        report(result, args, { log }) {
+            log(`Validation result: ${result.message}`);
+        },
+    },
+    {
+        name: 'analyze',
+        tool: 'analyze_uuid',
+        title: 'Analyze - Extract UUID details',
+        description: 'Analyze a UUID and extract detailed information (version, variant, timestamp for v1/v6/v7, clock sequence, node and MAC vendor for v1/v6, format, etc.). Also accepts ULIDs',
+        params: [
+            param('uuid', { description: 'UUID or ULID string to analyze', required: true }),
+            param('v8Layout', { arg: 'layout', description: 'UUID v8 field layout used to decode custom fields' }),
+            param('inputEncoding', { description: 'Encoding of the input string (e.g. bytes_le for a .NET Guid.ToByteArray() dump)' }),
+            param('includeRepresentations'),
+        ],
+        output: { key: 'ANALYSIS_RESULT' },
+        run({ uuid, layout, inputEncoding, includeRepresentations }, { log }) {
+            log(`Analyzing UUID: ${uuid}`);
+
+            const analysis = analyzeUUID(inputEncoding ? decodeUUID(uuid, inputEncoding) : uuid, { v8Layout: layout });
+            if (analysis.valid && includeRepresentations) {
+                analysis.representations = describeRepresentations(analysis.uuid);
+            }
+            return analysis;
+        },
+        report(analysis, args, { log, warn }) {
+            if (analysis.valid) {
+                log(`Analysis completed: ${analysis.version ? `UUID v${analysis.version}, ` : ''}${analysis.type}`);
+                (analysis.warnings || []).forEach(warning => warn(warning));
+            } else {
+                log(`Analysis failed: ${analysis.error}`);
+            }
+        },
+    },
+    {
+        name: 'convert',
+        tool: 'convert_uuid_format',
+        title: 'Convert - Change UUID format',
+        description: 'Convert UUID between different formats (standard/compact, uppercase/lowercase, Base32/Base58/Base64url/Base36, ULID, Microsoft GUID and byte-order forms) and between v1 and v6 layouts',
+        params: [
+            param('uuid', { description: 'UUID string to convert (or an encoded UUID when inputEncoding is set)', required: true }),
+            param('inputEncoding'),
+            param('convertTo'),
+            param('encoding'),
+            param('checksum'),
+            param('uppercase'),
+            param('removeDashes'),
+        ],
+        output: { key: 'CONVERSION_RESULT' },
+        run({ uuid, inputEncoding, convertTo, encoding, checksum, uppercase, removeDashes }, { log }) {
+            log(`Converting UUID: ${uuid}`);
+
+            try {
+                // ULIDs carry arbitrary 128-bit values, so skip RFC version/variant checks
+                // when either side of the conversion is one
+                const strict = (!inputEncoding || isStrictEncoding(inputEncoding))
+                    && (!encoding || isStrictEncoding(encoding));
+                const canonical = inputEncoding ? decodeUUID(uuid, inputEncoding) : uuid;
+                const source = convertTo ? convertTimeBasedUUID(canonical, convertTo) : canonical;
+                const converted = encoding
+                    ? encodeUUID(source, encoding, { checksum, strict })
+                    : convertUUIDFormat(source, { uppercase, removeDashes, strict });
+
+                return {
+                    original: uuid,
+                    converted,
+                    options: { inputEncoding, convertTo, encoding, checksum, uppercase, removeDashes },
+                };
+            } catch (error) {
+                throw new Error(`Conversion failed: ${error.message}`);
+            }
+        },
+        report(result, args, { log }) {
+            log(`Converted: ${result.original} → ${result.converted}`);
+        },
+    },
+    {
+        name: 'batch_validate',
+        tool: 'batch_validate',
+        title: 'Batch Validate - Validate multiple UUIDs',
+        description: 'Validate multiple UUIDs at once, with diagnostics for each invalid one',
+        params: [
+            param('uuids', { description: 'Array of UUID strings to validate', required: true }),
+        ],
+        sources: true,
+        output: { key: 'BATCH_VALIDATION', rowsKey: 'results' },
+        run({ uuids }, { log }) {
+            log(`Validating ${uuids.length} UUIDs...`);
+            return batchValidate(uuids);
+        },
+        report(results, args, { log }) {
+            log(`Batch validation completed: ${results.valid} valid, ${results.invalid} invalid`);
+
+            const invalidResults = results.results.filter(r => !r.valid);
+            if (invalidResults.length > 0) {
+                log(`\nInvalid UUIDs:`);
+                invalidResults.slice(0, 5).forEach(r => {
+                    log(`  - ${r.uuid}: ${r.errors[0].message}`);
+                });
+            }
+        },
+    },
+    {
+        name: 'batch_analyze',
+        tool: 'batch_analyze',
+        title: 'Batch Analyze - Analyze multiple UUIDs',
+        description: 'Analyze multiple UUIDs and get detailed breakdown',
+        params: [
+            param('uuids', { description: 'Array of UUID strings to analyze', required: true }),
+        ],
+        sources: true,
+        output: { key: 'BATCH_ANALYSIS', rowsKey: 'results' },
+        run({ uuids }, { log }) {
+            log(`Analyzing ${uuids.length} UUIDs...`);
+            return batchAnalyze(uuids);
+        },
+        report(results, args, { log, warn }) {
+            log(`Batch analysis completed: ${results.valid} valid, ${results.invalid} invalid`);
+            log(`Version breakdown:`, results.versionBreakdown);
+            if (results.hardwareMacLeaks > 0) {
+                warn(`${results.hardwareMacLeaks} UUID(s) expose a hardware MAC address`);
+            }
+        },
+    },
+    {
+        name: 'check_collisions',
+        tool: 'check_collisions',
+        title: 'Check Collisions - Find duplicates',
+        description: 'Check for duplicate UUIDs in a collection',
+        params: [
+            param('uuids', { description: 'Array of UUID strings to check for duplicates', required: true }),
+            param('chunkSize', { actorOnly: true }),
+        ],
+        sources: true,
+        output: { key: 'COLLISION_CHECK' },
+        run({ uuids }, { log }) {
+            log(`Checking ${uuids.length} UUIDs for collisions...`);
+            return checkCollisions(uuids);
+        },
+        report(results, args, { log }) {
+            log(`Collision check completed:`);
+            log(`  Total: ${results.total}`);
+            log(`  Unique: ${results.unique}`);
+            log(`  Duplicates: ${results.duplicates}`);
+
+            if (results.duplicates > 0) {
+                log(`\nCollisions found:`);
+                results.collisions.slice(0, 5).forEach(c => {
+                    log(`  - ${c.uuid} at index ${c.index}`);
+                });
+            }
+        },
+    },
+    {
+        name: 'collision_probability',
+        tool: 'collision_probability',
+        title: 'Collision Probability - Plan ID capacity',
+        description: 'Plan ID capacity with exact birthday-bound math: the probability that N IDs collide, or the most IDs that keep the collision probability at or below a target, for a UUID version, a v8 layout or any number of random bits',
+        params: [
+            param('uuidVersion', {
+                arg: 'version',
+                description: 'UUID version whose random bits to use (v7 and ULID counts are per millisecond)',
+                enum: ['v3', 'v4', 'v5', 'v7', 'v8', 'ulid'],
+            }),
+            param('v8Layout', { arg: 'layout', description: 'Field layout for v8; its random fields and unassigned bits are counted' }),
+            param('randomBits'),
+            param('plannedCount', { arg: 'count' }),
+            param('targetProbability'),
+        ],
+        output: { key: 'COLLISION_PROBABILITY' },
+        run({ version, layout, randomBits, count, targetProbability }) {
+            return calculateCollisionProbability({ version, layout, randomBits, count, targetProbability });
+        },
+        report(results, args, { log }) {
+            const scope = results.scope ? ` ${results.scope}` : '';
+            log(`Collision planning for ${results.randomBits} random bits (${results.space} values${scope}):`);
+            if (results.count !== undefined) {
+                log(`  P(collision) for ${results.count} IDs: ${results.probability}`);
+                log(`  Expected colliding pairs: ${results.expectedCollisions}`);
+            }
+            if (results.maxCount !== undefined) {
+                log(`  Max IDs at P(collision) <= ${results.targetProbability}: ${results.maxCount} (~2^${results.maxCountLog2})`);
+            }
+        },
+    },
+    {
+        name: 'statistics',
+        tool: 'generate_statistics',
+        title: 'Statistics - Generate UUID statistics',
+        description: 'Generate statistics about a collection of UUIDs (version distribution, format breakdown, etc.), optionally with randomness tests (per-nibble chi-square, monobit, runs, serial correlation) for the v4 UUIDs',
+        params: [
+            param('uuids', { description: 'Array of UUID strings to analyze', required: true }),
+            param('randomnessTests'),
+            param('significanceLevel'),
+        ],
+        sources: true,
+        output: { key: 'STATISTICS' },
+        run({ uuids, randomnessTests, significanceLevel }, { log }) {
+            log(`Generating statistics for ${uuids.length} UUIDs...`);
+            return generateStatistics(uuids, { randomness: randomnessTests, significanceLevel });
+        },
+        report(stats, args, { log, warn }) {
+            log(`\nStatistics:`);
+            log(`  Total UUIDs: ${stats.total}`);
+            log(`  Version breakdown:`, stats.versions);
+            log(`  Format breakdown:`, stats.formats);
+            log(`  Variant breakdown:`, stats.variants);
+
+            if (stats.randomness && stats.randomness.pass === null) {
+                stats.randomness.warnings.forEach(warning => warn(warning));
+            } else if (stats.randomness) {
+                const { randomness } = stats;
+                log(`\nRandomness tests (${randomness.sampleSize} v4 UUIDs, alpha ${randomness.significanceLevel}): ${randomness.pass ? 'PASS' : 'FAIL'}`);
+                Object.entries(randomness.tests).forEach(([name, test]) => {
+                    log(`  - ${name}: ${test.pass ? 'pass' : 'FAIL'} (p = ${test.pValue})`);
+                });
+                randomness.warnings.forEach(warning => warn(warning));
+            }
+        },
+    },
+    {
+        name: 'timeline',
+        tool: 'build_timeline',
+        title: 'Timeline - Reconstruct the timeline of time-based UUIDs',
+        description: 'Reconstruct the timeline of time-based UUIDs (v1, v6, v7, ULID): earliest and latest timestamps, generation-rate histogram, out-of-order and clock-regression events, and future or implausibly old timestamps, optionally within a time window',
+        params: [
+            param('uuids', { description: 'UUIDs or ULIDs in the order they were observed', required: true }),
+            param('bucket'),
+            param('windowFrom', { arg: 'from' }),
+            param('windowTo', { arg: 'to' }),
+            param('minPlausibleDate'),
+        ],
+        sources: true,
+        output: { key: 'TIMELINE', rowsKey: 'entries' },
+        run({ uuids, bucket, from, to, minPlausibleDate }, { log }) {
+            log(`Building timeline for ${uuids.length} UUIDs...`);
+            return buildTimeline(uuids, { bucket, from, to, minPlausibleDate });
+        },
+        report(timeline, args, { log, warn }) {
+            log(`Timeline completed: ${timeline.entries.length} time-based UUIDs, ${timeline.skipped} skipped, ${timeline.outsideWindow} outside the window`);
+            if (timeline.earliest) {
+                log(`  Earliest: ${timeline.earliest.timestamp} (${timeline.earliest.uuid})`);
+                log(`  Latest: ${timeline.latest.timestamp} (${timeline.latest.uuid})`);
+            }
+            log(`  Out-of-order: ${timeline.outOfOrder}, clock regressions: ${timeline.clockRegressions}`);
+
+            if (timeline.anomalies.length > 0) {
+                warn(`${timeline.anomalies.length} UUID(s) have timestamps in the future or before plausible dates`);
+            }
+        },
+    },
+    {
+        name: 'sort',
+        tool: 'sort_uuids',
+        title: 'Sort - Order UUIDs as a database does',
+        description: 'Sort UUIDs as a database orders them in its native storage (PostgreSQL uuid, MySQL UUID_TO_BIN with or without the time swap, SQL Server uniqueidentifier), and measure how an index would fragment if they were inserted in the given order',
+        params: [
+            param('uuids', { description: 'UUIDs in insertion order', required: true }),
+            param('collation'),
+        ],
+        sources: true,
+        output: { key: 'SORT', rowsKey: 'sorted' },
+        run({ uuids, collation }, { log }) {
+            log(`Sorting ${uuids.length} UUIDs in ${collation} order...`);
+            return sortUUIDs(uuids, { collation });
+        },
+        report(results, { collation }, { log }) {
+            const { outOfOrderInserts, outOfOrderRatio } = results.insertOrder;
+            log(`Sort completed: ${results.valid} UUIDs, ${results.invalid} invalid`);
+            log(`  Input already in ${collation} order: ${results.alreadySorted ? 'yes' : 'no'}`);
+            log(`  Inserting in input order: ${outOfOrderInserts} mid-index insert(s) (${(outOfOrderRatio * 100).toFixed(1)}%)`);
+        },
+    },
+    {
+        name: 'name_mapping',
+        tool: 'map_names',
+        title: 'Name Mapping - Derive v3/v5 UUIDs for a list of names',
+        description: 'Derive a name-based UUID (v3 MD5 or v5 SHA-1) for each name in a list and return a name to UUID mapping table',
+        params: [
+            param('names', { required: true, orString: true }),
+            param('nameColumn'),
+            param('namespace'),
+            param('nameVersion', { arg: 'version' }),
+            param('uppercase'),
+            param('removeDashes'),
+        ],
+        namespaces: true,
+        // The Actor exports the mapping table itself rather than the summary around it
+        output: { key: 'NAME_MAPPING', rowsKey: 'mappings', exportRows: true },
+        run({ names, nameColumn, namespace, version, uppercase, removeDashes }, { log, namespaces }) {
+            const nameList = parseNameList(names, { nameColumn });
+
+            log(`Mapping ${nameList.length} names to UUID ${version}...`);
+
+            const namespaceUUID = namespaces ? namespaces.resolve(namespace) : resolveNamespace(namespace);
+            const results = generateNameMapping(nameList, namespaceUUID, { version });
+            results.mappings.forEach(mapping => {
+                mapping.uuid = formatUUID(mapping.uuid, { uppercase, removeDashes });
+            });
+            return results;
+        },
+        report(results, args, { log, warn }) {
+            log(`Name mapping completed: ${results.total} names, ${results.unique} unique UUIDs`);
+            if (results.unique < results.total) {
+                warn(`${results.total - results.unique} duplicate name(s) mapped to an existing UUID`);
+            }
+        },
+    },
+    {
+        name: 'extract',
+        tool: 'extract_uuids',
+        title: 'Extract - Find UUIDs in free text',
+        description: 'Find every UUID (standard, compact, braced or urn:uuid:) in free text such as logs, stack traces or JSON, with offsets, and optionally analyze, collision-check or summarize them',
+        params: [
+            param('text', { description: 'Text to scan for UUIDs', required: true }),
+            param('pipeTo', { orString: true }),
+        ],
+        output: { key: 'EXTRACTION', rowsKey: 'matches' },
+        run({ text, pipeTo = [] }, { log }) {
+            log(`Scanning ${text.length} characters for UUIDs...`);
+
+            const results = extractUUIDs(text);
+            const uuids = results.matches.map(m => m.uuid);
+
+            // Optionally run the extracted UUIDs through the collection operations
+            for (const operation of [].concat(pipeTo)) {
+                switch (operation) {
+                    case 'batch_analyze':
+                        results.analysis = batchAnalyze(uuids);
+                        break;
+                    case 'check_collisions':
+                        results.collisions = checkCollisions(uuids);
+                        break;
+                    case 'statistics':
+                        results.statistics = generateStatistics(uuids);
+                        break;
+                    case 'timeline':
+                        results.timeline = buildTimeline(uuids);
+                        break;
+                    default:
+                        throw new Error(`Unsupported pipeTo operation: ${operation}`);
+                }
+            }
+            return results;
+        },
+        report(results, args, { log }) {
+            log(`Extraction completed: ${results.total} UUIDs found, ${results.unique} unique`);
+            results.matches.slice(0, 5).forEach(m => {
+                log(`  - ${m.uuid} (${m.format}) at line ${m.line}, column ${m.column}`);
+            });
+        },
+    },
+    {
+        name: 'namespace_add',
+        tool: 'add_namespace',
+        title: 'Namespace Add - Register a custom namespace',
+        description: 'Register a named namespace for v3/v5 UUIDs in the persistent registry: a top-level one with a given or random UUID, or a child such as acme/billing whose UUID is the v5 UUID of its name in the parent',
+        params: [
+            param('namespaceName', { arg: 'name', required: true }),
+            param('namespaceUUID', { arg: 'uuid' }),
+            param('namespaceDescription', { arg: 'description' }),
+        ],
+        namespaces: true,
+        output: { key: 'NAMESPACE' },
+        run({ name, uuid, description }, { namespaces }) {
+            return namespaces.add(name, { uuid, description });
+        },
+        report(entry, args, { log }) {
+            log(`Registered namespace ${entry.name}: ${entry.uuid}`);
+        },
+    },
+    {
+        name: 'namespace_list',
+        tool: 'list_namespaces',
+        title: 'Namespace List - Show the namespaces',
+        description: 'List the predefined namespaces and the custom namespaces in the persistent registry, with their UUIDs',
+        params: [],
+        namespaces: true,
+        output: { key: 'NAMESPACE_LIST', rowsKey: 'namespaces' },
+        run(args, { namespaces }) {
+            const list = namespaces.list();
+            return { total: list.length, namespaces: list };
+        },
+        report(results, args, { log }) {
+            log(`${results.total} namespaces:`);
+            results.namespaces.forEach((namespace) => {
+                log(`  - ${namespace.name}: ${namespace.uuid}${namespace.builtIn ? ' (predefined)' : ''}`);
+            });
+        },
+    },
+    {
+        name: 'namespace_remove',
+        tool: 'remove_namespace',
+        title: 'Namespace Remove - Unregister a custom namespace',
+        description: 'Remove a custom namespace from the persistent registry. UUIDs already derived from it stay valid, but its name no longer resolves',
+        params: [
+            param('namespaceName', { arg: 'name', required: true }),
+        ],
+        namespaces: true,
+        output: { key: 'NAMESPACE' },
+        run({ name }, { namespaces }) {
+            return namespaces.remove(name);
+        },
+        report(entry, args, { log }) {
+            log(`Removed namespace ${entry.name} (${entry.uuid})`);
+        },
+    },
+];
+
+export const OPERATION_NAMES = OPERATIONS.map(operation => operation.name);
+
+/**
+ * Find an operation by its Actor name or, with { tool: true }, its MCP tool name
+ */
+export function findOperation(name, { tool = false } = {}) {
+    return OPERATIONS.find(operation => (tool ? operation.tool : operation.name) === name);
+}
+
+// Command-line options renamed so they do not take over the CLI's own flags (--version)
+const OPTION_NAMES = { version: 'uuid-version' };
+
+/**
+ * Command-line option name of a tool argument (removeDashes becomes remove-dashes,
+ * version becomes uuid-version)
+ */
+export function optionName(arg) {
+    return OPTION_NAMES[arg] || arg.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Command-line command of an operation (batch_validate becomes batch-validate)
+ */
+export function commandName(operation) {
+    return operation.name.replace(/_/g, '-');
+}
+
+/**
+ * JSON schema of a parameter: its input field with the operation's overrides
+ */
+function paramSchema({ field, arg, required, actorOnly, orString, ...overrides }) {
+    return { ...INPUT_FIELDS[field], ...overrides };
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+};
+
+/**
+ * Check a value against a parameter's type, enum and range
+ */
+function checkValue(key, value, schema, orString) {
+    if (!TYPE_CHECKS[schema.type](value) && !(orString && typeof value === 'string')) {
+        throw new Error(`Invalid ${key}: expected ${schema.type}${orString ? ' or string' : ''}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        throw new Error(`Invalid ${key}: ${value}. Use one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        throw new Error(`${key} must be at least ${schema.minimum.toLocaleString('en-US')}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        throw new Error(`${key} must be at most ${schema.maximum.toLocaleString('en-US')}`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        const { type, enum: allowed } = schema.items;
+        value.forEach((item, index) => {
+            if (type === 'string' && typeof item !== 'string') {
+                throw new Error(`Invalid ${key}[${index}]: expected string`);
+            }
+            if (allowed && !allowed.includes(item)) {
+                throw new Error(`Invalid ${key}[${index}]: ${item}. Use one of: ${allowed.join(', ')}`);
+            }
+        });
+    }
+}
+
+/**
+ * Validate the raw input of an operation and apply its defaults.
+ *
+ * surface is 'actor' (raw is the Actor input, keyed by input field), 'mcp'
+ * (raw holds the tool arguments) or 'cli' (raw is keyed by option name). The
+ * result is keyed by tool argument name either way. provided lists required arguments the caller fills in itself,
+ * e.g. UUIDs the Actor reads from a dataset.
+ */
+export function parseArguments(operation, raw = {}, options = {}) {
+    const { surface = 'mcp', provided = [] } = options;
+    const args = {};
+
+    for (const parameter of operation.params) {
+        if (parameter.actorOnly && surface !== 'actor') {
+            continue;
+        }
+
+        const key = { actor: parameter.field, mcp: parameter.arg, cli: optionName(parameter.arg) }[surface];
+        const schema = paramSchema(parameter);
+        const value = raw[key];
+
+        if (!isSet(value) || (Array.isArray(value) && value.length === 0)) {
+            if (parameter.required && !provided.includes(parameter.arg)) {
+                const label = { actor: operation.name, mcp: operation.tool, cli: commandName(operation) }[surface];
+                throw new Error(`${key} is required for ${label}`);
+            }
+            if (schema.default !== undefined) {
+                args[parameter.arg] = schema.default;
+            }
+            continue;
+        }
+
+        checkValue(key, value, schema, parameter.orString);
+        args[parameter.arg] = value;
+    }
+
+    return args;
+}
+
+/**
+ * MCP input schema of an operation's tool
+ */
+export function toolInputSchema(operation) {
+    const properties = {};
+    const required = [];
+
+    for (const parameter of operation.params) {
+        if (parameter.actorOnly) {
+            continue;
+        }
+        const { title, enumTitles, editor, ...schema } = paramSchema(parameter);
+        properties[parameter.arg] = schema;
+        if (parameter.required) {
+            required.push(parameter.arg);
+        }
+    }
+
+    return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
@@ -0,0 +1,22 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// The IEEE OUI table is large, so it is only loaded on the first lookup
+let ouiTable = null;
+
+/**
+ * Look up the vendor that owns the OUI (first three octets) of a MAC address.
+ * Returns null when the OUI is not registered.
+ */
+export function lookupVendor(mac) {
+    if (!ouiTable) {
+        ouiTable = require('oui-data');
+    }
+
+    const oui = mac.replace(/[^0-9a-f]/gi, '').slice(0, 6).toUpperCase();
+    const entry = ouiTable[oui];
+
+    // Entries hold the organization name followed by its postal address, one per line
+    return entry ? entry.split('\n')[0].trim() : null;
+}
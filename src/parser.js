@@ -0,0 +1,172 @@
+const NIL_UUID = '00000000000000000000000000000000';
+const MAX_UUID = 'ffffffffffffffffffffffffffffffff';
+
+// A dash is expected after this many hex digits in the 8-4-4-4-12 layout
+const DASH_OFFSETS = [8, 12, 16, 20];
+
+const QUOTES = ['"', "'", '`'];
+
+/**
+ * Describe the variant encoded in the high bits of the variant nibble
+ */
+function describeVariant(nibble) {
+    if ((nibble & 0x8) === 0) {
+        return 'NCS backward compatible variant (0xxx)';
+    } else if ((nibble & 0xE) === 0xC) {
+        return 'Microsoft variant (110x)';
+    }
+    return 'reserved variant (111x)';
+}
+
+/**
+ * Parse a UUID leniently and explain exactly what is wrong with invalid input.
+ *
+ * Accepts surrounding whitespace and quotes, braces, the urn:uuid: prefix,
+ * mixed case and the compact (no dashes) form. Positions in diagnostics are
+ * 1-based offsets into the original input.
+ */
+export function parseUUID(input) {
+    const result = {
+        input,
+        valid: false,
+        uuid: null,
+        version: null,
+        format: null,
+        wrapping: [],
+        errors: [],
+    };
+
+    const fail = (code, message, position) => {
+        const error = { code, message };
+        if (position !== undefined) {
+            error.position = position;
+        }
+        result.errors.push(error);
+        return result;
+    };
+
+    if (typeof input !== 'string') {
+        return fail('not_a_string', `Expected a string, got ${input === null ? 'null' : typeof input}`);
+    }
+
+    // Work on a window [start, end) of the original input so positions stay accurate
+    let start = 0;
+    let end = input.length;
+
+    const trim = () => {
+        while (start < end && /\s/.test(input[start])) {
+            start++;
+        }
+        while (end > start && /\s/.test(input[end - 1])) {
+            end--;
+        }
+    };
+
+    trim();
+    if (start === end) {
+        return fail('empty', 'Input is empty');
+    }
+
+    // Surrounding quotes
+    if (QUOTES.includes(input[start]) || QUOTES.includes(input[end - 1])) {
+        if (end - start >= 2 && input[start] === input[end - 1] && QUOTES.includes(input[start])) {
+            start++;
+            end--;
+            result.wrapping.push('quotes');
+            trim();
+        } else {
+            const position = QUOTES.includes(input[start]) ? start + 1 : end;
+            return fail('unmatched_quote', `Unmatched quote ${input[position - 1]} at position ${position}`, position);
+        }
+    }
+
+    // urn:uuid: prefix
+    if (input.slice(start, start + 9).toLowerCase() === 'urn:uuid:') {
+        start += 9;
+        result.wrapping.push('urn');
+    }
+
+    // Braces
+    if (input[start] === '{' || input[end - 1] === '}') {
+        if (input[start] === '{' && input[end - 1] === '}' && end - start >= 2) {
+            start++;
+            end--;
+            result.wrapping.push('braces');
+        } else {
+            const position = input[start] === '{' ? start + 1 : end;
+            return fail('unbalanced_braces', `Unbalanced brace at position ${position}`, position);
+        }
+    }
+
+    // Collect hex digits and dash placement, remembering where each digit came from
+    const digits = [];
+    const digitPositions = [];
+    const dashOffsets = [];
+    let invalidCharacters = 0;
+
+    for (let i = start; i < end; i++) {
+        const char = input[i];
+        if (/[0-9a-f]/i.test(char)) {
+            digits.push(char.toLowerCase());
+            digitPositions.push(i + 1);
+        } else if (char === '-') {
+            if (DASH_OFFSETS.includes(digits.length) && !dashOffsets.includes(digits.length)) {
+                dashOffsets.push(digits.length);
+            } else {
+                fail('misplaced_dash', `Misplaced dash at position ${i + 1} (dashes belong after hex digits 8, 12, 16 and 20)`, i + 1);
+            }
+        } else {
+            const shown = /\s/.test(char) ? 'whitespace' : `character '${char}'`;
+            invalidCharacters++;
+            fail('invalid_character', `Non-hex ${shown} at position ${i + 1}`, i + 1);
+        }
+    }
+
+    // A non-hex character standing in for a digit is already reported above
+    if (digits.length + invalidCharacters !== 32) {
+        fail('invalid_length', `Expected 32 hex digits, found ${digits.length}`);
+    }
+
+    const hasDashes = dashOffsets.length > 0 || result.errors.some(e => e.code === 'misplaced_dash');
+    if (hasDashes) {
+        for (const offset of DASH_OFFSETS) {
+            if (!dashOffsets.includes(offset) && offset < digits.length) {
+                const position = digitPositions[offset];
+                fail('missing_dash', `Missing dash before position ${position} (after hex digit ${offset})`, position);
+            }
+        }
+    }
+
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    const normalized = digits.join('');
+    result.format = hasDashes ? 'standard' : 'compact';
+
+    if (normalized !== NIL_UUID && normalized !== MAX_UUID) {
+        const versionNibble = parseInt(normalized[12], 16);
+        if (versionNibble < 1 || versionNibble > 8) {
+            fail(
+                'invalid_version',
+                `Invalid version nibble '${digits[12]}' at position ${digitPositions[12]} (expected 1-8)`,
+                digitPositions[12],
+            );
+        }
+
+        const variantNibble = parseInt(normalized[16], 16);
+        if ((variantNibble & 0xC) !== 0x8) {
+            fail(
+                'invalid_variant',
+                `Invalid variant bits in '${digits[16]}' at position ${digitPositions[16]}: ${describeVariant(variantNibble)}, expected RFC 4122 variant (10xx: 8, 9, a or b)`,
+                digitPositions[16],
+            );
+        }
+    }
+
+    result.uuid = `${normalized.slice(0, 8)}-${normalized.slice(8, 12)}-${normalized.slice(12, 16)}-${normalized.slice(16, 20)}-${normalized.slice(20, 32)}`;
+    result.version = parseInt(normalized[12], 16);
+    result.valid = result.errors.length === 0;
+
+    return result;
+}
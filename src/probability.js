@@ -0,0 +1,458 @@
+import { V8_PAYLOAD_BITS, validateV8Layout } from './layout.js';
+
+// Random bits available to each version. Time-ordered IDs only collide when
+// generated within the same millisecond, so their counts are per millisecond.
+export const VERSION_RANDOM_BITS = {
+    v3: { bits: 122, note: 'MD5 hash of namespace and name; the probability applies to distinct names' },
+    v4: { bits: 122 },
+    v5: { bits: 122, note: 'SHA-1 hash of namespace and name; the probability applies to distinct names' },
+    v7: { bits: 74, scope: 'per millisecond' },
+    ulid: { bits: 80, scope: 'per millisecond' },
+};
+
+export const MAX_RANDOM_BITS = 1024;
+
+// Any count beyond 2^MAX_COUNT_BITS is certain to collide in every supported space,
+// and both bounds keep a single request from tying up the process with BigInt work
+const MAX_COUNT_BITS = 2 * MAX_RANDOM_BITS + 1;
+const MAX_COUNT_DIGITS = Math.ceil(MAX_COUNT_BITS * Math.log10(2));
+// Below 10^-MAX_PROBABILITY_DIGITS a target is smaller than any collision probability
+const MAX_PROBABILITY_DIGITS = 400;
+
+// Significant digits in reported probabilities, and binary precision behind them
+const SIGNIFICANT_DIGITS = 30;
+const PRECISION_BITS = 160;
+
+// Up to this many IDs the no-collision product is multiplied out term by term
+const DIRECT_PRODUCT_LIMIT = 100000n;
+
+const MAX_SERIES_TERMS = 200;
+
+/**
+ * Number of bits needed to represent a positive BigInt
+ */
+function bitLength(value) {
+    return value === 0n ? 0 : value.toString(2).length;
+}
+
+/**
+ * Base-2 logarithm of a positive BigInt of any size
+ */
+function log2(value) {
+    const excess = Math.max(0, bitLength(value) - 53);
+    return Math.log2(Number(value >> BigInt(excess))) + excess;
+}
+
+/**
+ * Greatest common divisor of two non-negative BigInts
+ */
+function gcd(a, b) {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Sum of two rationals { num, den }, reduced
+ */
+function addRational(a, b) {
+    const num = a.num * b.den + b.num * a.den;
+    const den = a.den * b.den;
+    const divisor = gcd(num < 0n ? -num : num, den) || 1n;
+    return { num: num / divisor, den: den / divisor };
+}
+
+/**
+ * Integer square root (floor) of a non-negative BigInt
+ */
+function isqrt(value) {
+    if (value < 2n) {
+        return value;
+    }
+    let x = 1n << BigInt(Math.ceil(bitLength(value) / 2));
+    for (;;) {
+        const next = (x + value / x) >> 1n;
+        if (next >= x) {
+            return x;
+        }
+        x = next;
+    }
+}
+
+// Bernoulli numbers B_0, B_1, ... with B_1 = -1/2, computed exactly on demand
+const bernoulliCache = [{ num: 1n, den: 1n }];
+
+/**
+ * Exact Bernoulli number B_m from the recurrence sum_{j=0}^{m} C(m+1, j) B_j = 0
+ */
+function bernoulli(m) {
+    for (let n = bernoulliCache.length; n <= m; n++) {
+        let sum = { num: 0n, den: 1n };
+        let binomial = 1n;
+        for (let j = 0; j < n; j++) {
+            const b = bernoulliCache[j];
+            sum = addRational(sum, { num: binomial * b.num, den: b.den });
+            binomial = binomial * BigInt(n + 1 - j) / BigInt(j + 1);
+        }
+        bernoulliCache.push(addRational({ num: 0n, den: 1n }, { num: -sum.num, den: sum.den * BigInt(n + 1) }));
+    }
+    return bernoulliCache[m];
+}
+
+/**
+ * Exact power sum 0^k + 1^k + ... + (n-1)^k as a rational, by Faulhaber's formula
+ */
+function powerSum(n, k) {
+    let sum = { num: 0n, den: 1n };
+    let binomial = 1n;
+    for (let j = 0; j <= k; j++) {
+        const b = bernoulli(j);
+        if (b.num !== 0n) {
+            sum = addRational(sum, { num: binomial * b.num * n ** BigInt(k + 1 - j), den: b.den });
+        }
+        binomial = binomial * BigInt(k + 1 - j) / BigInt(j + 1);
+    }
+    return { num: sum.num, den: sum.den * BigInt(k + 1) };
+}
+
+/**
+ * 1 - e^(-x) for a fixed-point x = X / 2^scale, as a fixed-point value at the same scale
+ */
+function oneMinusExpNeg(x, scale) {
+    const one = 1n << BigInt(scale);
+
+    // Below 1, the alternating series x - x^2/2! + x^3/3! - ... has no cancellation problem
+    if (x < one) {
+        let term = x;
+        let sum = 0n;
+        for (let k = 1; term !== 0n; k++) {
+            sum += k % 2 === 1 ? term : -term;
+            term = term * x / (BigInt(k + 1) << BigInt(scale));
+        }
+        return sum;
+    }
+
+    // e^(-x) is below the precision: a collision is certain at this precision
+    if (x >> BigInt(scale) > BigInt(scale)) {
+        return one;
+    }
+
+    // e^(-x) = (e^(-x / 2^m))^(2^m), with guard bits for the repeated squaring
+    const m = bitLength(x >> BigInt(scale)) + 1;
+    const workScale = scale + m + 16;
+    const y = (x << BigInt(workScale - scale)) >> BigInt(m);
+    const workOne = 1n << BigInt(workScale);
+
+    let term = workOne;
+    let e = workOne;
+    for (let k = 1; term !== 0n; k++) {
+        term = -term * y / (BigInt(k) << BigInt(workScale));
+        e += term;
+    }
+    for (let i = 0; i < m; i++) {
+        e = e * e >> BigInt(workScale);
+    }
+
+    return one - (e >> BigInt(workScale - scale));
+}
+
+/**
+ * Exact birthday-bound collision probability of n IDs drawn uniformly from 2^bits values,
+ * 1 - prod_{i<n} (1 - i/N), as a fixed-point value { value, scale } with at least
+ * PRECISION_BITS of relative precision.
+ *
+ * Small n multiply the product out; larger n use
+ * -ln prod_{i<n} (1 - i/N) = sum_{k>=1} S_k(n) / (k N^k), with exact power sums S_k.
+ */
+function collisionProbabilityFixed(n, bits) {
+    const space = 1n << BigInt(bits);
+
+    if (n <= 1n) {
+        return { value: 0n, scale: 0 };
+    }
+    if (n > space) {
+        return { value: 1n, scale: 0 };
+    }
+
+    // The probability is roughly n^2 / 2N, so scale it to keep PRECISION_BITS significant bits
+    const scale = Math.max(0, bits + 1 - 2 * (bitLength(n) - 1)) + PRECISION_BITS + 32;
+    const one = 1n << BigInt(scale);
+
+    if (n <= DIRECT_PRODUCT_LIMIT) {
+        let q = one;
+        for (let i = 1n; i < n; i++) {
+            q = q * (space - i) >> BigInt(bits);
+        }
+        return { value: one - q, scale };
+    }
+
+    // Beyond an eighth of the space the first term alone puts a collision beyond doubt
+    if (n << 3n > space) {
+        return { value: 1n, scale: 0 };
+    }
+
+    const certain = BigInt(scale) << BigInt(scale);
+    let x = 0n;
+    for (let k = 1; k <= MAX_SERIES_TERMS; k++) {
+        const s = powerSum(n, k);
+        const term = (s.num << BigInt(scale)) / (s.den * BigInt(k) << BigInt(bits * k));
+        x += term;
+        if (term === 0n || x > certain) {
+            break;
+        }
+    }
+
+    return { value: oneMinusExpNeg(x, scale), scale };
+}
+
+/**
+ * Format a non-negative fixed-point value in scientific notation with the given significant digits
+ */
+function formatFixed(value, scale, digits = SIGNIFICANT_DIGITS) {
+    if (value === 0n) {
+        return '0';
+    }
+
+    // Scale by a power of ten that leaves a few more digits than needed
+    const log10 = Math.floor((bitLength(value) - 1 - scale) * Math.log10(2));
+    const shift = digits + 2 - log10;
+    const scaled = shift >= 0
+        ? (value * 10n ** BigInt(shift)) >> BigInt(scale)
+        : (value >> BigInt(scale)) / 10n ** BigInt(-shift);
+
+    let mantissa = scaled.toString();
+    const exponent = mantissa.length - 1 - shift;
+    if (mantissa.length > digits) {
+        const rounded = (BigInt(mantissa.slice(0, digits + 1)) + 5n) / 10n;
+        mantissa = rounded.toString();
+        if (mantissa.length > digits) {
+            return formatScientific(mantissa.slice(0, digits), exponent + 1);
+        }
+    }
+    return formatScientific(mantissa, exponent);
+}
+
+/**
+ * Render significant digits and a decimal exponent, in plain notation for moderate
+ * magnitudes ("0.625", "131072") and scientific notation otherwise ("4.4e-16")
+ */
+function formatScientific(mantissa, exponent) {
+    const digits = mantissa.replace(/0+$/, '') || '0';
+
+    if (exponent >= -6 && exponent < SIGNIFICANT_DIGITS) {
+        if (exponent < 0) {
+            return `0.${'0'.repeat(-exponent - 1)}${digits}`;
+        }
+        const whole = digits.slice(0, exponent + 1).padEnd(exponent + 1, '0');
+        const fraction = digits.slice(exponent + 1);
+        return fraction ? `${whole}.${fraction}` : whole;
+    }
+
+    const fraction = digits.slice(1);
+    return `${digits[0]}${fraction ? `.${fraction}` : ''}e${exponent}`;
+}
+
+/**
+ * Parse an ID count given as an integer, or as a string such as "1000000", "1e9", "2^40" or "2**40".
+ * Counts are limited to 2^MAX_COUNT_BITS; sizes are checked before any large number is built.
+ */
+export function parseCount(value) {
+    const text = String(value).trim().replace(/[_,]/g, '');
+    const tooLarge = () => new Error(`Count is too large: ${String(value).slice(0, 40)}. Counts must be below 2^${MAX_COUNT_BITS}`);
+
+    let count;
+    const power = text.match(/^(\d+)\s*(?:\^|\*\*)\s*(\d+)$/);
+    const scientific = text.match(/^(\d+)(?:\.(\d+))?e\+?(\d+)$/i);
+    if (power) {
+        const [, base, exponent] = power;
+        if (base.length > MAX_COUNT_DIGITS || exponent.length > MAX_COUNT_DIGITS) {
+            throw tooLarge();
+        }
+        if (BigInt(base) > 1n && Number(exponent) * log2(BigInt(base)) > MAX_COUNT_BITS) {
+            throw tooLarge();
+        }
+        count = BigInt(base) ** BigInt(exponent);
+    } else if (scientific) {
+        const [, whole, fraction = '', exponent] = scientific;
+        if (whole.length + fraction.length > MAX_COUNT_DIGITS || Number(exponent) > MAX_COUNT_DIGITS) {
+            throw tooLarge();
+        }
+        if (fraction.length > Number(exponent)) {
+            throw new Error(`Count must be a whole number: ${value}`);
+        }
+        count = BigInt(whole + fraction) * 10n ** BigInt(Number(exponent) - fraction.length);
+    } else if (/^\d+$/.test(text)) {
+        if (text.length > MAX_COUNT_DIGITS) {
+            throw tooLarge();
+        }
+        count = BigInt(text);
+    } else {
+        throw new Error(`Invalid count: ${value}. Use an integer, scientific notation (1e9) or a power (2^40)`);
+    }
+
+    if (bitLength(count) > MAX_COUNT_BITS) {
+        throw tooLarge();
+    }
+    return count;
+}
+
+/**
+ * Parse a probability given as a number or decimal string (e.g. "1e-12") into an exact rational
+ */
+function parseProbability(value) {
+    const text = typeof value === 'number' ? value.toExponential() : String(value).trim();
+    const match = text.match(/^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+    if (!match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid probability: ${value}`);
+    }
+
+    const [, whole = '', fraction = '', exponentText = '0'] = match;
+    if (whole.length + fraction.length > MAX_PROBABILITY_DIGITS || Math.abs(Number(exponentText)) > MAX_PROBABILITY_DIGITS) {
+        throw new Error(`Target probability has too many digits: use at most ${MAX_PROBABILITY_DIGITS} digits and exponents between -${MAX_PROBABILITY_DIGITS} and ${MAX_PROBABILITY_DIGITS}`);
+    }
+    const exponent = Number(exponentText) - fraction.length;
+    let num = BigInt(whole + fraction || '0');
+    let den = 1n;
+    if (exponent >= 0) {
+        num *= 10n ** BigInt(exponent);
+    } else {
+        den = 10n ** BigInt(-exponent);
+    }
+
+    if (num === 0n || num >= den) {
+        throw new Error(`Target probability must be between 0 and 1 (exclusive): ${value}`);
+    }
+    return { num, den };
+}
+
+/**
+ * Whether the collision probability of n IDs is at most the rational target
+ */
+function withinTarget(n, bits, target) {
+    const { value, scale } = collisionProbabilityFixed(n, bits);
+    return value * target.den <= target.num << BigInt(scale);
+}
+
+/**
+ * Largest number of IDs whose collision probability stays at or below the target
+ */
+function maxCountForTarget(bits, target) {
+    const space = 1n << BigInt(bits);
+
+    // Start from the birthday approximation n ~ sqrt(2N p) and bracket the answer
+    const estimate = isqrt((space * 2n * target.num) / target.den);
+    let low = estimate / 4n > 1n ? estimate / 4n : 1n;
+    if (!withinTarget(low, bits, target)) {
+        low = 1n;
+    }
+    let high = estimate * 2n + 2n;
+    while (high <= space && withinTarget(high, bits, target)) {
+        low = high;
+        high *= 2n;
+    }
+    if (high > space + 1n) {
+        high = space + 1n;
+    }
+
+    // Invariant: low is within the target, high is not
+    while (high - low > 1n) {
+        const middle = (low + high) / 2n;
+        if (withinTarget(middle, bits, target)) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * Number of random bits behind a version, a v8 layout or an explicit bit count
+ */
+export function resolveRandomBits(options = {}) {
+    const { randomBits, version = 'v4', layout } = options;
+
+    if (randomBits !== undefined && randomBits !== null) {
+        if (!Number.isInteger(randomBits) || randomBits < 1 || randomBits > MAX_RANDOM_BITS) {
+            throw new Error(`Random bits must be an integer between 1 and ${MAX_RANDOM_BITS}`);
+        }
+        return { version: null, bits: randomBits };
+    }
+
+    if (version === 'v8') {
+        if (!layout) {
+            throw new Error('A v8 layout is required to count the random bits of UUID v8');
+        }
+        const fields = validateV8Layout(layout);
+        const assigned = fields.reduce((sum, field) => sum + field.bits, 0);
+        const random = fields.filter(field => field.type === 'random').reduce((sum, field) => sum + field.bits, 0);
+        const bits = random + V8_PAYLOAD_BITS - assigned;
+        if (bits === 0) {
+            throw new Error('The v8 layout has no random bits; its uniqueness depends on the fixed and timestamp fields');
+        }
+        return { version, bits, note: 'random fields and unassigned bits of the v8 layout' };
+    }
+
+    if (version === 'v1' || version === 'v6') {
+        throw new Error(`UUID ${version} is unique by construction (timestamp, clock sequence and node), not by random bits; pass randomBits for a custom estimate`);
+    }
+
+    const entry = VERSION_RANDOM_BITS[version];
+    if (!entry) {
+        throw new Error(`Unsupported UUID version: ${version}`);
+    }
+    return { version, ...entry };
+}
+
+/**
+ * Forward-looking collision planning for IDs with a given number of random bits.
+ *
+ * Given a count, reports the exact birthday-bound probability that at least two
+ * of that many IDs collide, and the expected number of colliding pairs. Given a
+ * target probability, reports the largest number of IDs that stays at or below it.
+ * Probabilities are computed with arbitrary-precision integer arithmetic and
+ * reported as decimal strings with 30 significant digits.
+ */
+export function calculateCollisionProbability(options = {}) {
+    const { count, targetProbability } = options;
+    const hasCount = count !== undefined && count !== null && count !== '';
+    const hasTarget = targetProbability !== undefined && targetProbability !== null && targetProbability !== '';
+
+    if (!hasCount && !hasTarget) {
+        throw new Error('A count or a target probability is required');
+    }
+
+    const source = resolveRandomBits(options);
+    const result = {
+        version: source.version,
+        randomBits: source.bits,
+        space: `2^${source.bits}`,
+    };
+    if (source.scope) {
+        result.scope = source.scope;
+    }
+    if (source.note) {
+        result.note = source.note;
+    }
+
+    if (hasCount) {
+        const n = parseCount(count);
+        const { value, scale } = collisionProbabilityFixed(n, source.bits);
+
+        result.count = n.toString();
+        result.probability = formatFixed(value, scale);
+        result.expectedCollisions = formatFixed(n * (n > 0n ? n - 1n : 0n), source.bits + 1);
+    }
+
+    if (hasTarget) {
+        const target = parseProbability(targetProbability);
+        const maxCount = maxCountForTarget(source.bits, target);
+
+        result.targetProbability = String(targetProbability);
+        result.maxCount = maxCount.toString();
+        result.maxCountLog2 = Number(log2(maxCount).toFixed(4));
+    }
+
+    return result;
+}
@@ -0,0 +1,92 @@
+import { VERSION_SPECS } from './specs.js';
+
+/**
+ * Split a pasted ID list on line breaks, commas and whitespace
+ */
+const splitIDs = text => text.split(/[\s,]+/).filter(id => id !== '');
+
+/**
+ * Prompt templates. Each one turns its string arguments into instructions that
+ * walk the agent through the existing tools.
+ */
+export const PROMPTS = [
+    {
+        name: 'audit_ids',
+        description: 'Audit a list of IDs: validity, duplicates, versions, leaked MAC addresses, timestamps and randomness',
+        arguments: [
+            { name: 'ids', description: 'The IDs to audit, separated by line breaks, commas or spaces', required: true },
+            { name: 'context', description: 'Where the IDs come from and what they identify (optional)' },
+        ],
+        build({ ids, context }) {
+            const list = splitIDs(ids);
+            return [
+                `Audit these ${list.length} IDs${context ? ` (${context})` : ''}:`,
+                '',
+                ...list,
+                '',
+                'Pass the list as the uuids argument of each tool:',
+                '1. batch_validate: which IDs are malformed, and why.',
+                '2. check_collisions: any duplicates.',
+                '3. batch_analyze: versions in use, and hardware MAC addresses exposed by v1/v6 UUIDs.',
+                '4. build_timeline, if there are time-based IDs (v1, v6, v7, ULID): time span, out-of-order IDs, clock regressions and implausible timestamps.',
+                '5. generate_statistics with randomnessTests, if there are at least 80 v4 UUIDs: whether the random bits look random.',
+                '',
+                'Then summarize the findings by severity, with the affected IDs, and recommend fixes.',
+            ].join('\n');
+        },
+    },
+    {
+        name: 'choose_uuid_version',
+        description: 'Choose the right UUID version (or ULID) for a use case, check its capacity and generate a sample',
+        arguments: [
+            { name: 'use_case', description: 'What the IDs identify and how they are stored and used', required: true },
+            { name: 'expected_volume', description: 'How many IDs will be generated, in total or per second (optional)' },
+        ],
+        build({ use_case: useCase, expected_volume: expectedVolume }) {
+            const versions = Object.entries(VERSION_SPECS).map(([version, spec]) => (
+                `- ${version} (${spec.type}${spec.sortable ? ', sortable' : ''}): ${spec.useWhen}`
+            ));
+            return [
+                `Recommend an ID format for this use case: ${useCase}`,
+                ...(expectedVolume ? [`Expected volume: ${expectedVolume}`] : []),
+                '',
+                'Candidates:',
+                ...versions,
+                '',
+                'Weigh database index locality (time-ordered IDs insert at the end of a B-tree), what the ID may reveal (creation time, MAC address), whether it must be derived again from a name, and the string length the systems accept. The uuid://spec/{version} resources describe each layout.',
+                '',
+                'Then:',
+                '1. Use collision_probability for the chosen version and the expected volume to confirm the collision risk is negligible.',
+                '2. If the IDs are database keys, use sort_uuids on a few generated IDs with the target database collation to check the insert order.',
+                '3. Generate a few examples with generate_uuid.',
+                '',
+                'Answer with the recommended version, the reasons, the runners-up and the example IDs.',
+            ].join('\n');
+        },
+    },
+];
+
+/**
+ * Messages of a prompt for the given arguments; required arguments must be set
+ */
+export function getPrompt(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    for (const argument of prompt.arguments) {
+        if (argument.required && !args[argument.name]) {
+            throw new Error(`${argument.name} is required for ${name}`);
+        }
+    }
+
+    return {
+        description: prompt.description,
+        messages: [
+            {
+                role: 'user',
+                content: { type: 'text', text: prompt.build(args) },
+            },
+        ],
+    };
+}
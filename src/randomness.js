@@ -0,0 +1,304 @@
+import { parseUUID } from './parser.js';
+
+const DEFAULT_SIGNIFICANCE_LEVEL = 0.01;
+
+// Hex digit 12 holds the version; only the low two bits of digit 16 are random
+const VERSION_DIGIT = 12;
+const VARIANT_DIGIT = 16;
+
+// Bytes 6 and 8 share their bits with the version and variant
+const PARTIAL_BYTES = [6, 8];
+
+// Chi-square needs an expected count of at least 5 in each of the 16 nibble values
+const MIN_RELIABLE_SAMPLE = 80;
+
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+
+    const z = x - 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+    }
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x), by series expansion
+ * below a + 1 and by continued fraction above it
+ */
+function upperIncompleteGamma(a, x) {
+    if (x <= 0) {
+        return 1;
+    }
+
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    // Modified Lentz's method
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 1000; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        d = Math.abs(d) < tiny ? tiny : d;
+        c = b + an / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) {
+            break;
+        }
+    }
+    return Math.exp(logPrefix) * h;
+}
+
+/**
+ * Complementary error function, via erfc(x) = Q(1/2, x²)
+ */
+function erfc(x) {
+    return x < 0 ? 2 - upperIncompleteGamma(0.5, x * x) : upperIncompleteGamma(0.5, x * x);
+}
+
+/**
+ * P-value of a chi-square statistic with the given degrees of freedom
+ */
+function chiSquarePValue(chiSquare, degreesOfFreedom) {
+    return upperIncompleteGamma(degreesOfFreedom / 2, chiSquare / 2);
+}
+
+/**
+ * Chi-square goodness of fit of observed counts against a uniform distribution
+ */
+function chiSquareUniform(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const expected = total / counts.length;
+    const chiSquare = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+    const degreesOfFreedom = counts.length - 1;
+
+    return { chiSquare, degreesOfFreedom, pValue: chiSquarePValue(chiSquare, degreesOfFreedom) };
+}
+
+/**
+ * Round p-values and statistics for reporting
+ */
+function round(value) {
+    return Number(value.toPrecision(6));
+}
+
+/**
+ * Run statistical randomness tests over the random bits of the v4 UUIDs in a collection.
+ *
+ * Each v4 UUID contributes 122 random bits: every hex digit except the version
+ * digit, and only the low two bits of the variant digit. The bits of all UUIDs
+ * are concatenated in order for the monobit and runs tests (NIST SP 800-22),
+ * and the 14 fully random bytes of all UUIDs for the serial correlation test, so
+ * dependence between consecutive UUIDs is caught too.
+ * The per-nibble chi-square test checks each of the 31 random hex digit positions
+ * separately; its verdict uses a Bonferroni correction across positions.
+ * A test passes when its p-value is at least the significance level.
+ * Without any v4 UUIDs no test is run: pass is null and a warning says why.
+ */
+export function testRandomness(uuids, options = {}) {
+    const { significanceLevel = DEFAULT_SIGNIFICANCE_LEVEL } = options;
+
+    if (typeof significanceLevel !== 'number' || !(significanceLevel > 0 && significanceLevel < 1)) {
+        throw new Error('Significance level must be a number between 0 and 1');
+    }
+
+    const digitCounts = Array.from({ length: 32 }, (_, digit) => new Array(digit === VARIANT_DIGIT ? 4 : 16).fill(0));
+    let sampleSize = 0;
+    let skipped = 0;
+
+    // Bit stream statistics, accumulated without storing the bits
+    let bits = 0;
+    let ones = 0;
+    let transitions = 0;
+    let previousBit = null;
+
+    const addBit = (bit) => {
+        if (previousBit !== null && bit !== previousBit) {
+            transitions++;
+        }
+        previousBit = bit;
+        bits++;
+        ones += bit;
+    };
+
+    // Byte stream sums for the serial correlation coefficient
+    let byteCount = 0;
+    let byteSum = 0;
+    let byteSquares = 0;
+    let byteProducts = 0;
+    let firstByte = null;
+    let previousByte = null;
+
+    const addByte = (byte) => {
+        if (previousByte === null) {
+            firstByte = byte;
+        } else {
+            byteProducts += previousByte * byte;
+        }
+        previousByte = byte;
+        byteCount++;
+        byteSum += byte;
+        byteSquares += byte * byte;
+    };
+
+    for (const uuidData of uuids) {
+        const uuid = typeof uuidData === 'object' && uuidData !== null ? uuidData.uuid : uuidData;
+        const parsed = parseUUID(uuid);
+        if (!parsed.valid || parsed.version !== 4) {
+            skipped++;
+            continue;
+        }
+
+        sampleSize++;
+        const hex = parsed.uuid.replace(/-/g, '');
+
+        for (let digit = 0; digit < 32; digit++) {
+            if (digit === VERSION_DIGIT) {
+                continue;
+            }
+
+            const value = parseInt(hex[digit], 16);
+            if (digit === VARIANT_DIGIT) {
+                digitCounts[digit][value & 0x3]++;
+                addBit((value >> 1) & 1);
+                addBit(value & 1);
+            } else {
+                digitCounts[digit][value]++;
+                for (let shift = 3; shift >= 0; shift--) {
+                    addBit((value >> shift) & 1);
+                }
+            }
+        }
+
+        for (let byte = 0; byte < 16; byte++) {
+            if (!PARTIAL_BYTES.includes(byte)) {
+                addByte(parseInt(hex.slice(byte * 2, byte * 2 + 2), 16));
+            }
+        }
+    }
+
+    if (sampleSize === 0) {
+        // Nothing to test, which should not cost the caller the rest of its statistics
+        return {
+            sampleSize,
+            skipped,
+            bits,
+            significanceLevel,
+            pass: null,
+            tests: {},
+            warnings: ['Randomness tests not run: the collection has no valid v4 UUIDs'],
+        };
+    }
+
+    const warnings = [];
+    if (sampleSize < MIN_RELIABLE_SAMPLE) {
+        warnings.push(`Only ${sampleSize} v4 UUIDs; at least ${MIN_RELIABLE_SAMPLE} are needed for a reliable chi-square test`);
+    }
+
+    // Per-nibble chi-square
+    const positionCount = digitCounts.length - 1;
+    const positionThreshold = significanceLevel / positionCount;
+    const positions = [];
+    for (let digit = 0; digit < digitCounts.length; digit++) {
+        if (digit === VERSION_DIGIT) {
+            continue;
+        }
+        const { chiSquare, degreesOfFreedom, pValue } = chiSquareUniform(digitCounts[digit]);
+        positions.push({
+            position: digit,
+            chiSquare: round(chiSquare),
+            degreesOfFreedom,
+            pValue: round(pValue),
+            pass: pValue >= positionThreshold,
+        });
+    }
+    const nibblePValue = Math.min(1, Math.min(...positions.map(p => p.pValue)) * positionCount);
+
+    // Monobit (frequency) test
+    const monobitStatistic = Math.abs(2 * ones - bits) / Math.sqrt(bits);
+    const monobitPValue = erfc(monobitStatistic / Math.SQRT2);
+
+    // Runs test; not applicable (p = 0) when the monobit proportion is already too far off
+    const proportion = ones / bits;
+    const runs = transitions + 1;
+    const expectedRuns = 2 * bits * proportion * (1 - proportion);
+    let runsPValue = 0;
+    if (Math.abs(proportion - 0.5) < 2 / Math.sqrt(bits)) {
+        runsPValue = erfc(Math.abs(runs - expectedRuns) / (2 * Math.sqrt(2 * bits) * proportion * (1 - proportion)));
+    } else {
+        warnings.push('Runs test not applicable: the proportion of ones fails the monobit prerequisite');
+    }
+
+    // Lag-1 serial correlation coefficient of successive bytes (Knuth), wrapping around the end
+    const sumProducts = byteProducts + previousByte * firstByte;
+    const denominator = byteCount * byteSquares - byteSum * byteSum;
+    const coefficient = denominator === 0 ? 1 : (byteCount * sumProducts - byteSum * byteSum) / denominator;
+    const correlationPValue = erfc(Math.abs(coefficient) * Math.sqrt(byteCount) / Math.SQRT2);
+
+    const tests = {
+        nibbleChiSquare: {
+            pass: nibblePValue >= significanceLevel,
+            pValue: round(nibblePValue),
+            failedPositions: positions.filter(p => !p.pass).map(p => p.position),
+            positions,
+        },
+        monobit: {
+            pass: monobitPValue >= significanceLevel,
+            pValue: round(monobitPValue),
+            ones,
+            zeros: bits - ones,
+            statistic: round(monobitStatistic),
+        },
+        runs: {
+            pass: runsPValue >= significanceLevel,
+            pValue: round(runsPValue),
+            runs,
+            expectedRuns: round(expectedRuns),
+        },
+        serialCorrelation: {
+            pass: correlationPValue >= significanceLevel,
+            pValue: round(correlationPValue),
+            coefficient: round(coefficient),
+        },
+    };
+
+    return {
+        sampleSize,
+        skipped,
+        bits,
+        significanceLevel,
+        pass: Object.values(tests).every(test => test.pass),
+        tests,
+        warnings,
+    };
+}
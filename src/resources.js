@@ -0,0 +1,67 @@
+import { VERSION_SPECS, SPEC_VERSIONS } from './specs.js';
+
+const NAMESPACES_URI = 'uuid://namespaces';
+const SPEC_PREFIX = 'uuid://spec/';
+const HISTORY_URI = 'uuid://history/last';
+
+/**
+ * Resources an MCP client can list and read: namespaces, the field layout of
+ * each version and the last batch generated in the session
+ */
+export function listResources() {
+    return [
+        {
+            uri: NAMESPACES_URI,
+            name: 'Namespaces',
+            description: 'Predefined and registered custom namespaces for v3/v5 name-based UUIDs, with their UUIDs',
+            mimeType: 'application/json',
+        },
+        {
+            uri: HISTORY_URI,
+            name: 'Last generated batch',
+            description: 'The most recent UUIDs generated with generate_uuid in this session, with the arguments used',
+            mimeType: 'application/json',
+        },
+        ...SPEC_VERSIONS.map(version => ({
+            uri: `${SPEC_PREFIX}${version}`,
+            name: `${VERSION_SPECS[version].name} layout`,
+            description: `Field layout and properties of ${VERSION_SPECS[version].name}`,
+            mimeType: 'application/json',
+        })),
+    ];
+}
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: `${SPEC_PREFIX}{version}`,
+        name: 'Version layout',
+        description: `Field layout, bit widths and properties of a UUID version (${SPEC_VERSIONS.join(', ')})`,
+        mimeType: 'application/json',
+    },
+];
+
+/**
+ * Read a resource. context.namespaces is the namespace registry and
+ * context.lastBatch the last generate_uuid result of the client's session, if any.
+ */
+export function readResource(uri, context) {
+    let data;
+    if (uri === NAMESPACES_URI) {
+        data = {
+            namespaces: context.namespaces.list(),
+            note: 'Child namespaces (e.g. acme/billing) resolve below any of these, and a namespace UUID can be passed directly',
+        };
+    } else if (uri === HISTORY_URI) {
+        data = context.lastBatch || { message: 'No UUIDs have been generated in this session yet' };
+    } else if (uri.startsWith(SPEC_PREFIX)) {
+        const version = uri.slice(SPEC_PREFIX.length);
+        if (!VERSION_SPECS[version]) {
+            throw new Error(`Unknown version: ${version}. Use one of: ${SPEC_VERSIONS.join(', ')}`);
+        }
+        data = { version, ...VERSION_SPECS[version] };
+    } else {
+        throw new Error(`Unknown resource: ${uri}`);
+    }
+
+    return { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
@@ -0,0 +1,113 @@
+import { createHash } from 'crypto';
+import { v1 as uuidv1, v4 as uuidv4, v6 as uuidv6, stringify } from 'uuid';
+import { buildV8UUID } from './layout.js';
+import { generateULID, monotonicFactory } from './ulid.js';
+
+// Versions whose random parts can be seeded; v3/v5 are deterministic already
+export const SEEDED_VERSIONS = ['v1', 'v4', 'v6', 'v7', 'v8', 'ulid'];
+
+export const SEEDED_PRNG = 'SHA-256 counter mode';
+
+// The seeded clock starts here unless a start time is given
+export const DEFAULT_SEED_TIME = '2000-01-01T00:00:00.000Z';
+
+/**
+ * Create a deterministic byte source from a seed (NOT cryptographically secure:
+ * anyone who knows the seed can reproduce every byte).
+ *
+ * The stream is the concatenation of blocks SHA-256(seed || counter), where seed
+ * is the UTF-8 encoding of the seed string and counter is a 64-bit big-endian
+ * block number starting at 0. Bytes are consumed in order.
+ */
+export function createSeededRandom(seed) {
+    const seedBytes = Buffer.from(String(seed), 'utf8');
+    let counter = 0n;
+    let pool = Buffer.alloc(0);
+
+    return function seededBytes(size) {
+        while (pool.length < size) {
+            const block = Buffer.alloc(8);
+            block.writeBigUInt64BE(counter++);
+            pool = Buffer.concat([pool, createHash('sha256').update(seedBytes).update(block).digest()]);
+        }
+        const bytes = pool.subarray(0, size);
+        pool = pool.subarray(size);
+        return Buffer.from(bytes);
+    };
+}
+
+/**
+ * Create a generator of reproducible UUIDs for test fixtures.
+ *
+ * Random parts come from createSeededRandom(seed). Timestamps come from a
+ * seeded clock that starts at startTime and advances by exactly 1 ms per
+ * generated UUID, so v1/v6/v7/v8/ULID output does not depend on when it runs.
+ * v1/v6 use a random node ID (multicast bit set, as RFC 9562 requires) and clock
+ * sequence drawn from the stream when the first of them is generated.
+ */
+export function createSeededGenerator(seed, options = {}) {
+    const { startTime = DEFAULT_SEED_TIME, monotonic = false } = options;
+
+    if (seed === undefined || seed === null || seed === '') {
+        throw new Error('A seed is required for seeded generation');
+    }
+
+    let time = new Date(startTime).getTime();
+    if (!Number.isFinite(time)) {
+        throw new Error(`Invalid seed start time: ${startTime}`);
+    }
+
+    const random = createSeededRandom(seed);
+    const nextULID = monotonic ? monotonicFactory(random) : now => generateULID(now, random);
+    let timeBased = null;
+    let lastTime = null;
+
+    const timeBasedOptions = (msecs) => {
+        if (!timeBased) {
+            const node = [...random(6)];
+            node[0] |= 0x01;
+            timeBased = { node, clockseq: random(2).readUInt16BE(0) & 0x3FFF };
+        }
+        return { ...timeBased, msecs, nsecs: 0 };
+    };
+
+    return {
+        /**
+         * Generate the next UUID of a seedable version
+         */
+        next(version, config = {}) {
+            const now = time++;
+            lastTime = now;
+
+            switch (version) {
+                case 'v1':
+                    return uuidv1(timeBasedOptions(now));
+                case 'v4':
+                    return uuidv4({ random: random(16) });
+                case 'v6':
+                    return uuidv6(timeBasedOptions(now));
+                case 'v7': {
+                    // 48-bit Unix milliseconds, then version 7 and the RFC variant over random bits
+                    const bytes = random(16);
+                    bytes.writeUIntBE(now, 0, 6);
+                    bytes[6] = 0x70 | (bytes[6] & 0x0F);
+                    bytes[8] = 0x80 | (bytes[8] & 0x3F);
+                    return stringify(bytes);
+                }
+                case 'v8':
+                    return buildV8UUID(config.layout, { now, random });
+                case 'ulid':
+                    return nextULID(now);
+                default:
+                    throw new Error(`UUID ${version} cannot be seeded (seedable versions: ${SEEDED_VERSIONS.join(', ')})`);
+            }
+        },
+
+        /**
+         * ISO timestamp of the seeded clock for the last generated UUID
+         */
+        timestamp() {
+            return new Date(lastTime === null ? time : lastTime).toISOString();
+        },
+    };
+}
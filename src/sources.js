@@ -0,0 +1,295 @@
+import { Actor } from 'apify';
+import { createInterface } from 'readline';
+import { Readable } from 'stream';
+import { parseCSVLine } from './utils.js';
+
+const DATASET_PAGE_SIZE = 10000;
+
+export const SOURCE_FORMATS = ['auto', 'text', 'csv', 'ndjson', 'json'];
+
+/**
+ * Guess the format of a file or record from its content type or name
+ */
+function formatFromMetadata(contentType = '', name = '') {
+    const type = contentType.toLowerCase();
+    const extension = name.toLowerCase().split(/[?#]/)[0].split('.').pop();
+
+    if (type.includes('csv') || extension === 'csv') {
+        return 'csv';
+    } else if (type.includes('ndjson') || type.includes('jsonl') || ['ndjson', 'jsonl'].includes(extension)) {
+        return 'ndjson';
+    } else if (type.includes('json') || extension === 'json') {
+        return 'json';
+    } else if (extension === 'txt') {
+        return 'text';
+    }
+    return null;
+}
+
+/**
+ * Guess the format of line-based content from its first non-empty line.
+ * A line holding just the configured column name is the header of a one-column CSV.
+ */
+function formatFromFirstLine(line, column) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('{')) {
+        return 'ndjson';
+    } else if (trimmed.startsWith('[')) {
+        return 'json';
+    } else if (trimmed.includes(',') || parseCSVLine(trimmed)[0].trim() === String(column)) {
+        return 'csv';
+    }
+    return 'text';
+}
+
+/**
+ * Read a value at a JSON path such as "id", "user.id" or "items[0].uuid".
+ * An empty path returns the value itself.
+ */
+function getByPath(value, path) {
+    if (path === undefined || path === null || path === '') {
+        return value;
+    }
+
+    const segments = String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(s => s !== '');
+    let current = value;
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+/**
+ * Pick the UUID out of a structured item (dataset item, NDJSON line or JSON array element)
+ */
+function pickFromItem(item, path) {
+    if (item === null || typeof item !== 'object') {
+        return item;
+    }
+    return getByPath(item, path);
+}
+
+/**
+ * Stream the items of a dataset page by page
+ */
+async function* readDatasetItems(datasetId) {
+    const dataset = await Actor.openDataset(datasetId, { forceCloud: Actor.isAtHome() });
+
+    for (let offset = 0; ; offset += DATASET_PAGE_SIZE) {
+        const { items } = await dataset.getData({ offset, limit: DATASET_PAGE_SIZE });
+        yield* items;
+
+        if (items.length < DATASET_PAGE_SIZE) {
+            break;
+        }
+    }
+}
+
+/**
+ * Open a key-value store record as a byte stream, or as already-parsed items when
+ * the local storage has decoded it from JSON.
+ * On the Apify platform the record is streamed; locally it is read in one piece.
+ */
+async function openRecord(storeId, key) {
+    const notFound = () => new Error(`Record "${key}" not found in key-value store ${storeId || '(default)'}`);
+
+    if (Actor.isAtHome()) {
+        const storeClient = Actor.apifyClient.keyValueStore(storeId || process.env.ACTOR_DEFAULT_KEY_VALUE_STORE_ID);
+        const record = await storeClient.getRecord(key, { stream: true });
+        if (!record) {
+            throw notFound();
+        }
+        return { stream: record.value, contentType: record.contentType, name: key };
+    }
+
+    const store = await Actor.openKeyValueStore(storeId);
+    const value = await store.getValue(key);
+    if (value === null) {
+        throw notFound();
+    }
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+        return { stream: Readable.from([value]), contentType: '', name: key };
+    }
+    return { items: Array.isArray(value) ? value : [value] };
+}
+
+/**
+ * Download an uploaded file (or any URL) as a byte stream
+ */
+async function openFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download source file: HTTP ${response.status} ${response.statusText}`);
+    }
+    return {
+        stream: Readable.fromWeb(response.body),
+        contentType: response.headers.get('content-type') || '',
+        name: new URL(url).pathname,
+    };
+}
+
+/**
+ * Parse line-based content as plain text, CSV or NDJSON, or collect it as a JSON document.
+ * CSV uses the first row as the header unless the field is a 0-based column index.
+ * Blank lines yield undefined, so every later value keeps the index of its source row.
+ */
+async function* parseContent({ stream, contentType, name }, format, field) {
+    const lines = createInterface({ input: stream, crlfDelay: Infinity })[Symbol.asyncIterator]();
+
+    let resolved = format === 'auto' ? formatFromMetadata(contentType, name) : format;
+    let leadingBlankLines = 0;
+    let first = await lines.next();
+    while (!first.done && first.value.trim() === '') {
+        leadingBlankLines++;
+        first = await lines.next();
+    }
+    if (first.done) {
+        return;
+    }
+    if (!resolved) {
+        resolved = formatFromFirstLine(first.value, field);
+    }
+
+    async function* allLines() {
+        yield first.value;
+        for (let next = await lines.next(); !next.done; next = await lines.next()) {
+            yield next.value;
+        }
+    }
+
+    if (resolved === 'json') {
+        // A JSON document cannot be split on lines, so it is parsed in one piece
+        let text = '';
+        for await (const line of allLines()) {
+            text += `${line}\n`;
+        }
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Source is not valid JSON: ${error.message}`);
+        }
+        for (const item of Array.isArray(document) ? document : [document]) {
+            yield pickFromItem(item, field);
+        }
+        return;
+    }
+
+    // Blank lines above a CSV header come before the first row; anywhere else they are rows
+    const hasHeader = resolved === 'csv' && !Number.isInteger(Number(field));
+    if (!hasHeader) {
+        for (let i = 0; i < leadingBlankLines; i++) {
+            yield undefined;
+        }
+    }
+
+    let columnIndex = hasHeader ? null : Number(field);
+    let row = leadingBlankLines;
+
+    for await (const line of allLines()) {
+        row++;
+
+        if (line.trim() === '') {
+            yield undefined;
+        } else if (resolved === 'text') {
+            yield line.trim();
+        } else if (resolved === 'ndjson') {
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON in row ${row}: ${error.message}`);
+            }
+            yield pickFromItem(item, field);
+        } else if (resolved === 'csv') {
+            const fields = parseCSVLine(line);
+
+            if (columnIndex === null) {
+                const column = field || 'uuid';
+                columnIndex = fields.findIndex(h => h.trim() === String(column));
+                if (columnIndex === -1) {
+                    throw new Error(`Column "${column}" not found in CSV header`);
+                }
+                continue;
+            }
+
+            yield fields[columnIndex] === undefined ? undefined : fields[columnIndex].trim();
+        } else {
+            throw new Error(`Unsupported source format: ${resolved}`);
+        }
+    }
+}
+
+/**
+ * Whether the input points at a dataset, key-value store record or uploaded file
+ * instead of an inline array
+ */
+export function hasStorageSource(input) {
+    return Boolean(input.sourceDatasetId || input.sourceRecordKey || input.sourceFile);
+}
+
+/**
+ * Describe the configured source for log messages
+ */
+export function describeSource(input) {
+    if (input.sourceDatasetId) {
+        return `dataset ${input.sourceDatasetId}`;
+    } else if (input.sourceRecordKey) {
+        return `record ${input.sourceRecordKey}`;
+    }
+    return 'uploaded file';
+}
+
+/**
+ * Stream UUID values from a dataset, a key-value store record or an uploaded file
+ * without loading it all into memory (JSON documents excepted).
+ *
+ * sourceField selects the UUID: a field or JSON path ("user.id", "items[0].uuid")
+ * for dataset items, NDJSON and JSON, or a header name / 0-based index for CSV.
+ * Missing values are yielded as undefined so indices match the source rows.
+ */
+export async function* readUUIDSource(input) {
+    const {
+        sourceDatasetId,
+        sourceKeyValueStoreId,
+        sourceRecordKey,
+        sourceFile,
+        sourceFormat = 'auto',
+        sourceField,
+    } = input;
+
+    if (!SOURCE_FORMATS.includes(sourceFormat)) {
+        throw new Error(`Unsupported source format: ${sourceFormat}. Use one of: ${SOURCE_FORMATS.join(', ')}`);
+    }
+
+    // Structured items default to their "uuid" field; CSV defaults to the "uuid" column
+    const path = sourceField === undefined || sourceField === null ? 'uuid' : sourceField;
+
+    if (sourceDatasetId) {
+        for await (const item of readDatasetItems(sourceDatasetId)) {
+            yield pickFromItem(item, path);
+        }
+        return;
+    }
+
+    let source;
+    if (sourceRecordKey) {
+        source = await openRecord(sourceKeyValueStoreId, sourceRecordKey);
+    } else if (sourceFile) {
+        source = await openFile(sourceFile);
+    } else {
+        throw new Error('A source dataset ID, key-value store record key or file is required');
+    }
+
+    if (source.items) {
+        for (const item of source.items) {
+            yield pickFromItem(item, path);
+        }
+        return;
+    }
+
+    yield* parseContent(source, sourceFormat, path);
+}
@@ -0,0 +1,139 @@
+const field = (name, bits, description) => ({ name, bits, description });
+
+const VERSION_FIELD = field('ver', 4, 'Version number');
+const VARIANT_FIELD = field('var', 2, 'Variant bits 10 (RFC 9562)');
+
+/**
+ * Field layout reference for each generated version, most significant bits
+ * first (RFC 9562, Section 5; ULID spec). Every layout covers 128 bits; "ver"
+ * and "var" are the fixed version and variant bits.
+ */
+export const VERSION_SPECS = {
+    v1: {
+        name: 'UUID version 1',
+        reference: 'RFC 9562, Section 5.1',
+        type: 'timestamp-based',
+        fields: [
+            field('time_low', 32, 'Low 32 bits of the 60-bit timestamp'),
+            field('time_mid', 16, 'Middle 16 bits of the timestamp'),
+            VERSION_FIELD,
+            field('time_high', 12, 'High 12 bits of the timestamp'),
+            VARIANT_FIELD,
+            field('clock_seq', 14, 'Clock sequence, changed when the clock moves back or the node changes'),
+            field('node', 48, 'Node ID: a MAC address or a random value with the multicast bit set'),
+        ],
+        timestamp: '100-nanosecond intervals since 1582-10-15 (Gregorian epoch)',
+        sortable: false,
+        notes: 'The timestamp fields are stored low-first, so v1 UUIDs do not sort by time. A hardware node ID leaks the MAC address of the generating machine.',
+        useWhen: 'Interoperating with systems that require v1; prefer v6 or v7 for new designs',
+    },
+    v3: {
+        name: 'UUID version 3',
+        reference: 'RFC 9562, Section 5.3',
+        type: 'namespace-based (MD5)',
+        fields: [
+            field('md5_high', 48, 'Bits 0-47 of MD5(namespace + name)'),
+            VERSION_FIELD,
+            field('md5_mid', 12, 'Bits 52-63 of the hash'),
+            VARIANT_FIELD,
+            field('md5_low', 62, 'Bits 66-127 of the hash'),
+        ],
+        sortable: false,
+        notes: 'The same namespace and name always give the same UUID. Kept for compatibility; v5 is preferred.',
+        useWhen: 'Reproducing identifiers of an existing system that uses v3',
+    },
+    v4: {
+        name: 'UUID version 4',
+        reference: 'RFC 9562, Section 5.4',
+        type: 'random',
+        fields: [
+            field('random_a', 48, 'Random bits'),
+            VERSION_FIELD,
+            field('random_b', 12, 'Random bits'),
+            VARIANT_FIELD,
+            field('random_c', 62, 'Random bits'),
+        ],
+        sortable: false,
+        notes: '122 random bits. Random order fragments B-tree indexes when used as a primary key.',
+        useWhen: 'General-purpose identifiers that reveal nothing about when or where they were made',
+    },
+    v5: {
+        name: 'UUID version 5',
+        reference: 'RFC 9562, Section 5.5',
+        type: 'namespace-based (SHA-1)',
+        fields: [
+            field('sha1_high', 48, 'Bits 0-47 of SHA-1(namespace + name)'),
+            VERSION_FIELD,
+            field('sha1_mid', 12, 'Bits 52-63 of the hash'),
+            VARIANT_FIELD,
+            field('sha1_low', 62, 'Bits 66-127 of the hash; the rest of the hash is dropped'),
+        ],
+        sortable: false,
+        notes: 'The same namespace and name always give the same UUID, so the ID can be derived again from the name.',
+        useWhen: 'Stable IDs derived from names, URLs or natural keys (idempotent imports, deduplication)',
+    },
+    v6: {
+        name: 'UUID version 6',
+        reference: 'RFC 9562, Section 5.6',
+        type: 'timestamp-based (reordered)',
+        fields: [
+            field('time_high', 32, 'High 32 bits of the 60-bit timestamp'),
+            field('time_mid', 16, 'Middle 16 bits of the timestamp'),
+            VERSION_FIELD,
+            field('time_low', 12, 'Low 12 bits of the timestamp'),
+            VARIANT_FIELD,
+            field('clock_seq', 14, 'Clock sequence'),
+            field('node', 48, 'Node ID: a MAC address or a random value'),
+        ],
+        timestamp: '100-nanosecond intervals since 1582-10-15 (Gregorian epoch)',
+        sortable: true,
+        notes: 'Same fields as v1 with the timestamp stored high-first, so it sorts by time. Converts losslessly to and from v1.',
+        useWhen: 'Sortable IDs in systems built around v1 fields',
+    },
+    v7: {
+        name: 'UUID version 7',
+        reference: 'RFC 9562, Section 5.7',
+        type: 'time-ordered (Unix epoch)',
+        fields: [
+            field('unix_ts_ms', 48, 'Milliseconds since 1970-01-01 (Unix epoch)'),
+            VERSION_FIELD,
+            field('rand_a', 12, 'Random bits, or a counter for ordering within the millisecond'),
+            VARIANT_FIELD,
+            field('rand_b', 62, 'Random bits'),
+        ],
+        timestamp: 'Milliseconds since the Unix epoch',
+        sortable: true,
+        notes: 'Sorts by creation time, which keeps B-tree inserts at the end of the index. 74 random bits per millisecond.',
+        useWhen: 'Database primary keys and event IDs that should sort by creation time',
+    },
+    v8: {
+        name: 'UUID version 8',
+        reference: 'RFC 9562, Section 5.8',
+        type: 'custom (vendor-specific)',
+        fields: [
+            field('custom_a', 48, 'Custom bits'),
+            VERSION_FIELD,
+            field('custom_b', 12, 'Custom bits'),
+            VARIANT_FIELD,
+            field('custom_c', 62, 'Custom bits'),
+        ],
+        sortable: false,
+        notes: 'The 122 custom bits hold a field layout of your own (fixed, timestamp and random fields); unassigned bits are random. Uniqueness depends on the layout.',
+        useWhen: 'Embedding your own fields (shard, tenant, type) in a standard UUID',
+    },
+    ulid: {
+        name: 'ULID',
+        reference: 'ULID specification (github.com/ulid/spec)',
+        type: 'ULID (time-ordered)',
+        fields: [
+            field('timestamp', 48, 'Milliseconds since 1970-01-01 (Unix epoch)'),
+            field('randomness', 80, 'Random bits, incremented within the millisecond when monotonic'),
+        ],
+        timestamp: 'Milliseconds since the Unix epoch',
+        sortable: true,
+        notes: '26 Crockford Base32 characters with no version or variant bits. Sorts by time as text and as bytes.',
+        useWhen: 'Short, URL-safe, time-sortable IDs where a UUID string is not required',
+    },
+};
+
+export const SPEC_VERSIONS = Object.keys(VERSION_SPECS);
@@ -0,0 +1,254 @@
+import { analyzeUUID } from './utils.js';
+
+const BUCKET_SIZES = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const TIMELINE_BUCKETS = ['auto', ...Object.keys(BUCKET_SIZES)];
+
+// Automatic bucketing picks the finest size giving at most this many buckets
+const AUTO_BUCKET_LIMIT = 100;
+const MAX_BUCKETS = 10000;
+const MAX_REPORTED_EVENTS = 1000;
+
+// Weeks start on Monday; the Unix epoch was a Thursday
+const WEEK_OFFSET = 3 * BUCKET_SIZES.day;
+
+const DEFAULT_MIN_PLAUSIBLE_DATE = '1990-01-01T00:00:00.000Z';
+
+/**
+ * Parse a window bound or reference date given as an ISO string, Date or Unix milliseconds
+ */
+function parseDate(value, name) {
+    const time = typeof value === 'number' ? value : new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * Sort key in 100-nanosecond ticks since the Unix epoch. v1/v6 keep their
+ * sub-millisecond precision: the Gregorian-to-Unix offset is a whole number of
+ * milliseconds, so the ticks within the millisecond are the raw value modulo 10,000.
+ */
+function timestampTicks(analysis) {
+    const ticks = BigInt(analysis.timestamp.unix) * 10000n;
+    return analysis.version === 1 || analysis.version === 6
+        ? ticks + BigInt(analysis.timestamp.raw) % 10000n
+        : ticks;
+}
+
+/**
+ * Milliseconds between two tick values
+ */
+function ticksToMs(ticks) {
+    return Number(ticks) / 10000;
+}
+
+/**
+ * Start of the bucket holding a Unix millisecond timestamp
+ */
+function bucketStart(time, bucket) {
+    const size = BUCKET_SIZES[bucket];
+    const offset = bucket === 'week' ? WEEK_OFFSET : 0;
+    return Math.floor((time + offset) / size) * size - offset;
+}
+
+/**
+ * Pick the finest bucket size that covers the span in a readable number of buckets
+ */
+function chooseBucket(earliest, latest) {
+    for (const bucket of Object.keys(BUCKET_SIZES)) {
+        const count = (bucketStart(latest, bucket) - bucketStart(earliest, bucket)) / BUCKET_SIZES[bucket] + 1;
+        if (count <= AUTO_BUCKET_LIMIT) {
+            return bucket;
+        }
+    }
+    return 'week';
+}
+
+/**
+ * Build a generation-rate histogram over the entries, including empty buckets
+ */
+function buildHistogram(entries, earliest, latest, requestedBucket) {
+    const bucket = requestedBucket === 'auto' ? chooseBucket(earliest, latest) : requestedBucket;
+    const size = BUCKET_SIZES[bucket];
+    const first = bucketStart(earliest, bucket);
+    const count = (bucketStart(latest, bucket) - first) / size + 1;
+
+    if (count > MAX_BUCKETS) {
+        throw new Error(`The timeline spans ${count} ${bucket} buckets (maximum ${MAX_BUCKETS}); choose a coarser bucket or a time window`);
+    }
+
+    const counts = new Array(count).fill(0);
+    for (const entry of entries) {
+        counts[(bucketStart(entry.unix, bucket) - first) / size]++;
+    }
+
+    return {
+        bucket,
+        buckets: counts.map((n, i) => ({
+            start: new Date(first + i * size).toISOString(),
+            count: n,
+            ratePerSecond: n / (size / 1000),
+        })),
+    };
+}
+
+/**
+ * Reconstruct the timeline of a collection of time-based UUIDs (v1, v6, v7, ULID).
+ *
+ * Reports the earliest and latest timestamps, a per-bucket generation-rate
+ * histogram and, in input order, out-of-order events (a UUID older than the one
+ * before it) and clock regressions (a v1/v6 UUID older than the previous one
+ * from the same node). Timestamps in the future or before minPlausibleDate are
+ * reported as anomalies and left out of the range and histogram. from/to
+ * restrict the timeline to an inclusive time window. Entries are returned in
+ * chronological order.
+ */
+export function buildTimeline(uuids, options = {}) {
+    const {
+        bucket = 'auto',
+        from,
+        to,
+        now = Date.now(),
+        minPlausibleDate = DEFAULT_MIN_PLAUSIBLE_DATE,
+    } = options;
+
+    if (!TIMELINE_BUCKETS.includes(bucket)) {
+        throw new Error(`Unsupported bucket: ${bucket}. Use one of: ${TIMELINE_BUCKETS.join(', ')}`);
+    }
+
+    const windowStart = from === undefined || from === null || from === '' ? null : parseDate(from, 'from');
+    const windowEnd = to === undefined || to === null || to === '' ? null : parseDate(to, 'to');
+    if (windowStart !== null && windowEnd !== null && windowStart > windowEnd) {
+        throw new Error('The time window start must not be after its end');
+    }
+    const nowTime = parseDate(now, 'reference');
+    const minPlausible = parseDate(minPlausibleDate, 'minimum plausible');
+
+    const entries = [];
+    const anomalies = [];
+    const events = [];
+    let skipped = 0;
+    let outsideWindow = 0;
+    let outOfOrder = 0;
+    let clockRegressions = 0;
+    let previous = null;
+    const previousByNode = new Map();
+
+    uuids.forEach((uuidData, index) => {
+        const uuid = typeof uuidData === 'object' && uuidData !== null ? uuidData.uuid : uuidData;
+        const analysis = typeof uuid === 'string' ? analyzeUUID(uuid) : { valid: false };
+
+        if (!analysis.valid || !analysis.timestamp) {
+            skipped++;
+            return;
+        }
+
+        const unix = analysis.timestamp.unix;
+        if ((windowStart !== null && unix < windowStart) || (windowEnd !== null && unix > windowEnd)) {
+            outsideWindow++;
+            return;
+        }
+
+        const entry = {
+            index,
+            uuid: analysis.ulid || analysis.uuid,
+            version: analysis.version === null ? 'ulid' : analysis.version,
+            timestamp: analysis.timestamp.iso,
+            unix,
+            ticks: timestampTicks(analysis),
+        };
+        if (analysis.node) {
+            entry.node = analysis.node.id;
+            entry.clockSequence = analysis.clockSequence;
+        }
+
+        if (unix > nowTime || unix < minPlausible) {
+            anomalies.push({
+                type: unix > nowTime ? 'future' : 'implausibly_old',
+                index,
+                uuid: entry.uuid,
+                timestamp: entry.timestamp,
+            });
+            return;
+        }
+
+        const describe = (type, before) => ({
+            type,
+            index,
+            uuid: entry.uuid,
+            timestamp: entry.timestamp,
+            previousIndex: before.index,
+            previousUuid: before.uuid,
+            previousTimestamp: before.timestamp,
+            regressionMs: ticksToMs(before.ticks - entry.ticks),
+        });
+
+        const sameNode = entry.node ? previousByNode.get(entry.node) : undefined;
+        if (sameNode && entry.ticks < sameNode.ticks) {
+            clockRegressions++;
+            if (events.length < MAX_REPORTED_EVENTS) {
+                events.push({
+                    ...describe('clock_regression', sameNode),
+                    node: entry.node,
+                    // A compliant generator changes the clock sequence when its clock goes back
+                    clockSequenceChanged: entry.clockSequence !== sameNode.clockSequence,
+                });
+            }
+        } else if (previous && entry.ticks < previous.ticks) {
+            outOfOrder++;
+            if (events.length < MAX_REPORTED_EVENTS) {
+                events.push(describe('out_of_order', previous));
+            }
+        }
+
+        previous = entry;
+        if (entry.node) {
+            previousByNode.set(entry.node, entry);
+        }
+        entries.push(entry);
+    });
+
+    entries.sort((a, b) => (a.ticks === b.ticks ? a.index - b.index : (a.ticks < b.ticks ? -1 : 1)));
+
+    const result = {
+        total: uuids.length,
+        timeBased: entries.length + anomalies.length,
+        skipped,
+        outsideWindow,
+        window: {
+            from: windowStart === null ? null : new Date(windowStart).toISOString(),
+            to: windowEnd === null ? null : new Date(windowEnd).toISOString(),
+        },
+        earliest: null,
+        latest: null,
+        spanMs: 0,
+        ratePerSecond: null,
+        histogram: null,
+        outOfOrder,
+        clockRegressions,
+        events,
+        anomalies,
+        entries: entries.map(({ unix, ticks, ...entry }) => entry),
+    };
+
+    if (entries.length > 0) {
+        const earliest = entries[0];
+        const latest = entries[entries.length - 1];
+
+        result.earliest = { index: earliest.index, uuid: earliest.uuid, timestamp: earliest.timestamp };
+        result.latest = { index: latest.index, uuid: latest.uuid, timestamp: latest.timestamp };
+        result.spanMs = ticksToMs(latest.ticks - earliest.ticks);
+        result.ratePerSecond = result.spanMs > 0 ? entries.length / (result.spanMs / 1000) : null;
+        result.histogram = buildHistogram(entries, earliest.unix, latest.unix, bucket);
+    }
+
+    return result;
+}
@@ -0,0 +1,139 @@
+import { randomBytes } from 'crypto';
+
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const MAX_TIME = 2 ** 48 - 1;
+const MAX_RANDOM = (1n << 80n) - 1n;
+
+export const ULID_REGEX = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+
+/**
+ * Encode a value as fixed-width Crockford Base32
+ */
+function encodeCrockford(value, length) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result = CROCKFORD_ALPHABET[Number(value & 31n)] + result;
+        value >>= 5n;
+    }
+    return result;
+}
+
+/**
+ * Decode a ULID string to its 128-bit integer value. Error positions count any
+ * leading whitespace, plus offset characters that the caller already stripped.
+ */
+export function decodeULIDValue(ulid, offset = 0) {
+    const text = ulid.trim().toUpperCase();
+    const start = offset + ulid.length - ulid.trimStart().length;
+
+    if (text.length !== TIME_LENGTH + RANDOM_LENGTH) {
+        throw new Error(`Invalid ULID length: expected 26 characters, got ${text.length}`);
+    }
+
+    let value = 0n;
+    for (let i = 0; i < text.length; i++) {
+        const digit = CROCKFORD_ALPHABET.indexOf(text[i]);
+        if (digit === -1) {
+            throw new Error(`Invalid ULID character '${ulid.trim()[i]}' at position ${start + i + 1}`);
+        }
+        value = (value << 5n) | BigInt(digit);
+    }
+
+    if (value >> 128n) {
+        throw new Error(`Invalid ULID: first character must be 0-7 (got '${text[0]}')`);
+    }
+
+    return value;
+}
+
+/**
+ * Generate a ULID from a timestamp and 80 random bits
+ */
+function buildULID(time, random) {
+    if (!Number.isInteger(time) || time < 0 || time > MAX_TIME) {
+        throw new Error(`ULID timestamp out of range: ${time}`);
+    }
+    return encodeCrockford(BigInt(time), TIME_LENGTH) + encodeCrockford(random, RANDOM_LENGTH);
+}
+
+/**
+ * Generate 80 random bits for the ULID entropy component
+ */
+function randomEntropy(random = randomBytes) {
+    return BigInt(`0x${random(10).toString('hex')}`);
+}
+
+/**
+ * Generate a ULID. random(size) returns random bytes and defaults to the system CSPRNG.
+ */
+export function generateULID(now = Date.now(), random = randomBytes) {
+    return buildULID(now, randomEntropy(random));
+}
+
+/**
+ * Create a monotonic ULID generator.
+ * Within the same millisecond the random component is incremented instead of regenerated,
+ * so successive ULIDs always sort after the previous one.
+ */
+export function monotonicFactory(random = randomBytes) {
+    let lastTime = -1;
+    let lastRandom = 0n;
+
+    return function nextULID(now = Date.now()) {
+        if (now <= lastTime) {
+            if (lastRandom === MAX_RANDOM) {
+                throw new Error('ULID random component overflow within the same millisecond');
+            }
+            lastRandom += 1n;
+            return buildULID(lastTime, lastRandom);
+        }
+
+        lastTime = now;
+        lastRandom = randomEntropy(random);
+        return buildULID(now, lastRandom);
+    };
+}
+
+/**
+ * Check whether a string is a ULID
+ */
+export function isULID(text) {
+    return typeof text === 'string' && ULID_REGEX.test(text.trim());
+}
+
+/**
+ * Convert a ULID to its 128-bit UUID form (8-4-4-4-12 hex).
+ * The result carries the ULID bits unchanged, so it does not have RFC version/variant bits.
+ */
+export function ulidToUUID(ulid) {
+    const hex = decodeULIDValue(ulid).toString(16).padStart(32, '0');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Convert a UUID (any 128-bit value in standard or compact form) to a ULID
+ */
+export function uuidToULID(uuid) {
+    const normalized = uuid.trim().replace(/-/g, '').toLowerCase();
+
+    if (!/^[0-9a-f]{32}$/.test(normalized)) {
+        throw new Error('Invalid UUID format');
+    }
+
+    return encodeCrockford(BigInt(`0x${normalized}`), TIME_LENGTH + RANDOM_LENGTH);
+}
+
+/**
+ * Extract the 48-bit Unix millisecond timestamp from a ULID
+ */
+export function extractULIDTimestamp(ulid) {
+    const unixTimestamp = Number(decodeULIDValue(ulid) >> 80n);
+
+    return {
+        iso: new Date(unixTimestamp).toISOString(),
+        unix: unixTimestamp,
+        raw: unixTimestamp.toString(),
+    };
+}
@@ -1,4 +1,10 @@
-import { validate, version, parse } from 'uuid';
+import { validate, version, parse, v1ToV6, v6ToV1, v3 as uuidv3, v5 as uuidv5 } from 'uuid';
+import { decodeV8Fields } from './layout.js';
+import { isULID, ulidToUUID, extractULIDTimestamp } from './ulid.js';
+import { lookupVendor } from './oui.js';
+import { parseUUID } from './parser.js';
+import { testRandomness } from './randomness.js';
+import { collisionKey } from './collisions.js';
 
 /**
  * Validate a UUID string
@@ -26,48 +32,112 @@ export function getUUIDVersion(uuid) {
 }
 
 /**
- * Parse UUID and extract detailed information
+ * Parse UUID and extract detailed information.
+ * Pass options.v8Layout to decode the custom fields of a UUID v8.
  */
-export function analyzeUUID(uuid) {
-    // Normalize UUID format (remove dashes, convert to lowercase)
-    const normalized = uuid.replace(/-/g, '').toLowerCase();
-
-    if (normalized.length !== 32) {
-        return {
-            valid: false,
-            error: 'Invalid UUID length',
-        };
+export function analyzeUUID(uuid, options = {}) {
+    if (isULID(uuid)) {
+        return analyzeULID(uuid.trim());
     }
 
-    // Reformat to standard UUID format
-    const formatted = `${normalized.slice(0, 8)}-${normalized.slice(8, 12)}-${normalized.slice(12, 16)}-${normalized.slice(16, 20)}-${normalized.slice(20, 32)}`;
+    // Accept common wrappings (braces, urn:uuid:, quotes) and explain invalid input
+    const parsed = parseUUID(uuid);
 
-    if (!validate(formatted)) {
+    if (isLegacyVariant(parsed)) {
+        return analyzeLegacyVariant(parsed);
+    }
+
+    if (!parsed.valid) {
         return {
             valid: false,
-            error: 'Invalid UUID format',
+            error: parsed.errors[0].message,
+            errors: parsed.errors,
         };
     }
 
-    const uuidVersion = version(formatted);
+    const formatted = parsed.uuid;
+    const normalized = formatted.replace(/-/g, '');
+    const uuidVersion = parsed.version;
     const analysis = {
         valid: true,
         uuid: formatted,
         version: uuidVersion,
-        format: uuid.includes('-') ? 'standard' : 'compact',
+        format: parsed.format,
         variant: getVariant(normalized),
     };
 
+    if (parsed.wrapping.length > 0) {
+        analysis.wrapping = parsed.wrapping;
+    }
+
     // Add version-specific information
     if (uuidVersion === 1) {
         analysis.timestamp = extractV1Timestamp(normalized);
         analysis.type = 'timestamp-based';
+        addClockAndNode(analysis, normalized);
     } else if (uuidVersion === 4) {
         analysis.type = 'random';
     } else if (uuidVersion === 5) {
         analysis.type = 'namespace-based (SHA-1)';
     } else if (uuidVersion === 3) {
         analysis.type = 'namespace-based (MD5)';
+    } else if (uuidVersion === 6) {
+        analysis.timestamp = extractV6Timestamp(normalized);
+        analysis.type = 'timestamp-based (reordered)';
+        addClockAndNode(analysis, normalized);
+    } else if (uuidVersion === 7) {
+        analysis.timestamp = extractV7Timestamp(normalized);
+        analysis.type = 'time-ordered (Unix epoch)';
+    } else if (uuidVersion === 8) {
+        analysis.type = 'custom (vendor-specific)';
+        if (options.v8Layout) {
+            analysis.fields = decodeV8Fields(normalized, options.v8Layout);
+        }
+    }
+
+    return analysis;
+}
+
+/**
+ * Describe a ULID and its 128-bit UUID form
+ */
+function analyzeULID(ulid) {
+    return {
+        valid: true,
+        ulid: ulid.toUpperCase(),
+        uuid: ulidToUUID(ulid),
+        version: null,
+        format: 'ulid',
+        type: 'ULID (time-ordered)',
+        timestamp: extractULIDTimestamp(ulid),
+    };
+}
+
+/**
+ * Whether a well-formed value failed parsing only because it is not an RFC
+ * variant UUID (e.g. a Microsoft COM GUID), where the version nibble has no meaning
+ */
+function isLegacyVariant(parsed) {
+    return !parsed.valid
+        && parsed.errors.some(e => e.code === 'invalid_variant')
+        && parsed.errors.every(e => e.code === 'invalid_variant' || e.code === 'invalid_version');
+}
+
+/**
+ * Describe a GUID of the NCS, Microsoft or reserved variant
+ */
+function analyzeLegacyVariant(parsed) {
+    const analysis = {
+        valid: true,
+        uuid: parsed.uuid,
+        version: null,
+        format: parsed.format,
+        variant: getVariant(parsed.uuid.replace(/-/g, '')),
+        type: 'legacy variant (no RFC version)',
+    };
+
+    if (parsed.wrapping.length > 0) {
+        analysis.wrapping = parsed.wrapping;
     }
 
     return analysis;
@@ -109,10 +179,110 @@ function extractV1Timestamp(normalizedUUID) {
             (BigInt(`0x${timeMid}`) << 32n) |
             BigInt(`0x${timeLow}`);
 
-        // UUID v1 uses 100-nanosecond intervals since Oct 15, 1582
-        // Convert to Unix timestamp (milliseconds since Jan 1, 1970)
-        const UUID_EPOCH_OFFSET = 122192928000000000n; // Difference between UUID and Unix epochs in 100-ns intervals
-        const unixTimestamp = Number((timestamp - UUID_EPOCH_OFFSET) / 10000n);
+        return formatGregorianTimestamp(timestamp);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract timestamp from UUID v6
+ */
+function extractV6Timestamp(normalizedUUID) {
+    try {
+        // UUID v6 stores the same 60-bit timestamp as v1, most significant bits first
+        const timeHigh = normalizedUUID.slice(0, 8);
+        const timeMid = normalizedUUID.slice(8, 12);
+        const timeLowValue = parseInt(normalizedUUID.slice(12, 16), 16) & 0x0FFF;
+
+        const timestamp = (BigInt(`0x${timeHigh}`) << 28n) |
+            (BigInt(`0x${timeMid}`) << 12n) |
+            BigInt(timeLowValue);
+
+        return formatGregorianTimestamp(timestamp);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert a 60-bit Gregorian timestamp (v1/v6) to ISO, Unix and raw forms
+ */
+function formatGregorianTimestamp(timestamp) {
+    // UUID v1/v6 use 100-nanosecond intervals since Oct 15, 1582
+    // Convert to Unix timestamp (milliseconds since Jan 1, 1970)
+    const UUID_EPOCH_OFFSET = 122192928000000000n; // Difference between UUID and Unix epochs in 100-ns intervals
+    // Round towards the past, also for timestamps before 1970
+    const ticks = timestamp - UUID_EPOCH_OFFSET;
+    const unixTimestamp = Number(ticks / 10000n - (ticks < 0n && ticks % 10000n !== 0n ? 1n : 0n));
+
+    return {
+        iso: new Date(unixTimestamp).toISOString(),
+        unix: unixTimestamp,
+        raw: timestamp.toString(),
+    };
+}
+
+/**
+ * Extract the 14-bit clock sequence from UUID v1/v6
+ */
+function extractClockSequence(normalizedUUID) {
+    return parseInt(normalizedUUID.slice(16, 20), 16) & 0x3FFF;
+}
+
+/**
+ * Extract and classify the 48-bit node ID of UUID v1/v6.
+ * RFC 9562 requires random node IDs to set the multicast bit, which a real
+ * network card address never has; the locally administered bit marks
+ * software-assigned (e.g. virtual machine) addresses.
+ */
+function extractNode(normalizedUUID) {
+    const hex = normalizedUUID.slice(20, 32);
+    const firstOctet = parseInt(hex.slice(0, 2), 16);
+    const multicast = (firstOctet & 0x01) !== 0;
+    const locallyAdministered = (firstOctet & 0x02) !== 0;
+
+    let type;
+    if (multicast) {
+        type = 'random';
+    } else if (locallyAdministered) {
+        type = 'locally administered MAC';
+    } else {
+        type = 'hardware MAC';
+    }
+
+    return {
+        id: hex.match(/../g).join(':'),
+        type,
+        multicast,
+        locallyAdministered,
+        vendor: type === 'hardware MAC' ? lookupVendor(hex) : null,
+    };
+}
+
+/**
+ * Add clock sequence, node details and MAC leak warnings to a v1/v6 analysis
+ */
+function addClockAndNode(analysis, normalizedUUID) {
+    analysis.clockSequence = extractClockSequence(normalizedUUID);
+    analysis.node = extractNode(normalizedUUID);
+
+    if (analysis.node.type === 'hardware MAC') {
+        const vendor = analysis.node.vendor ? ` (${analysis.node.vendor})` : '';
+        analysis.warnings = [
+            `UUID exposes the hardware MAC address ${analysis.node.id}${vendor} of the machine that generated it`,
+        ];
+    }
+}
+
+/**
+ * Extract timestamp from UUID v7
+ */
+function extractV7Timestamp(normalizedUUID) {
+    try {
+        // UUID v7 stores a 48-bit big-endian Unix timestamp in milliseconds
+        const timestamp = BigInt(`0x${normalizedUUID.slice(0, 12)}`);
+        const unixTimestamp = Number(timestamp);
 
         return {
             iso: new Date(unixTimestamp).toISOString(),
@@ -125,10 +295,11 @@ function extractV1Timestamp(normalizedUUID) {
 }
 
 /**
- * Convert UUID format
+ * Convert UUID format.
+ * With strict: false any 128-bit hex value is accepted (e.g. the UUID form of a ULID).
  */
 export function convertUUIDFormat(uuid, options = {}) {
-    const { uppercase = false, removeDashes = false } = options;
+    const { uppercase = false, removeDashes = false, strict = true } = options;
 
     // Normalize input
     let normalized = uuid.replace(/-/g, '').toLowerCase();
@@ -140,7 +311,8 @@ export function convertUUIDFormat(uuid, options = {}) {
     // Reformat to standard
     let result = `${normalized.slice(0, 8)}-${normalized.slice(8, 12)}-${normalized.slice(12, 16)}-${normalized.slice(16, 20)}-${normalized.slice(20, 32)}`;
 
-    if (!validate(result)) {
+    const wellFormed = strict ? validate(result) : /^[0-9a-f]{32}$/.test(normalized);
+    if (!wellFormed) {
         throw new Error('Invalid UUID format');
     }
 
@@ -155,24 +327,169 @@ export function convertUUIDFormat(uuid, options = {}) {
     return result;
 }
 
+/**
+ * Convert a time-based UUID between v1 and v6 layouts.
+ * Timestamp, clock sequence and node are preserved; only the field order changes.
+ */
+export function convertTimeBasedUUID(uuid, targetVersion) {
+    const formatted = convertUUIDFormat(uuid);
+    const sourceVersion = version(formatted);
+
+    switch (targetVersion) {
+        case 'v6':
+            if (sourceVersion === 6) {
+                return formatted;
+            }
+            if (sourceVersion !== 1) {
+                throw new Error(`Only UUID v1 can be converted to v6 (got v${sourceVersion})`);
+            }
+            return v1ToV6(formatted);
+
+        case 'v1':
+            if (sourceVersion === 1) {
+                return formatted;
+            }
+            if (sourceVersion !== 6) {
+                throw new Error(`Only UUID v6 can be converted to v1 (got v${sourceVersion})`);
+            }
+            return v6ToV1(formatted);
+
+        default:
+            throw new Error(`Unsupported conversion target: ${targetVersion}`);
+    }
+}
+
+/**
+ * Split a single CSV line into fields, honouring double-quoted values
+ */
+export function parseCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Extract names from an array of strings or CSV rows.
+ * When nameColumn is a header name, the first row is treated as the header;
+ * when it is a number, it is used as a 0-based column index.
+ */
+export function parseNameList(names, options = {}) {
+    const { nameColumn } = options;
+    const rows = typeof names === 'string'
+        ? names.split(/\r?\n/).filter(line => line.trim() !== '')
+        : names;
+
+    if (nameColumn === undefined || nameColumn === null || nameColumn === '') {
+        return rows.map(row => String(row));
+    }
+
+    let dataRows = rows.map(row => parseCSVLine(String(row)));
+    let columnIndex = Number(nameColumn);
+
+    if (!Number.isInteger(columnIndex)) {
+        const header = dataRows[0] || [];
+        columnIndex = header.findIndex(h => h.trim() === String(nameColumn));
+        if (columnIndex === -1) {
+            throw new Error(`Column "${nameColumn}" not found in CSV header`);
+        }
+        dataRows = dataRows.slice(1);
+    }
+
+    return dataRows.map((fields, index) => {
+        if (columnIndex >= fields.length) {
+            throw new Error(`Row ${index + 1} has no column ${columnIndex}`);
+        }
+        return fields[columnIndex];
+    });
+}
+
+/**
+ * Map each name to its name-based UUID (v3 MD5 or v5 SHA-1) within a namespace
+ */
+export function generateNameMapping(names, namespace, options = {}) {
+    const { version: nameVersion = 'v5' } = options;
+
+    let hash;
+    if (nameVersion === 'v5') {
+        hash = uuidv5;
+    } else if (nameVersion === 'v3') {
+        hash = uuidv3;
+    } else {
+        throw new Error(`Name-based mapping supports only v3 and v5 (got ${nameVersion})`);
+    }
+
+    if (!validate(namespace)) {
+        throw new Error(`Invalid namespace UUID: ${namespace}`);
+    }
+
+    const mappings = names.map(name => ({
+        name,
+        uuid: hash(name, namespace),
+    }));
+
+    return {
+        namespace,
+        version: nameVersion,
+        total: mappings.length,
+        unique: new Set(mappings.map(m => m.uuid)).size,
+        mappings,
+    };
+}
+
 /**
  * Check for UUID collisions in an array
  */
 export function checkCollisions(uuids) {
-    const seen = new Set();
+    // Maps each normalized UUID to the index of its first occurrence
+    const seen = new Map();
+    const groups = new Map();
     const duplicates = [];
 
     for (let i = 0; i < uuids.length; i++) {
         const uuid = typeof uuids[i] === 'object' ? uuids[i].uuid : uuids[i];
-        const normalized = uuid.toLowerCase().replace(/-/g, '');
+        const normalized = collisionKey(uuid);
 
         if (seen.has(normalized)) {
             duplicates.push({
                 uuid: uuid,
                 index: i,
             });
+
+            if (!groups.has(normalized)) {
+                const first = seen.get(normalized);
+                groups.set(normalized, {
+                    uuid: typeof uuids[first] === 'object' ? uuids[first].uuid : uuids[first],
+                    indices: [first],
+                });
+            }
+            groups.get(normalized).indices.push(i);
         } else {
-            seen.add(normalized);
+            seen.set(normalized, i);
         }
     }
 
@@ -181,24 +498,36 @@ export function checkCollisions(uuids) {
         unique: seen.size,
         duplicates: duplicates.length,
         collisions: duplicates,
+        duplicateGroups: [...groups.values()],
     };
 }
 
 /**
- * Batch validate UUIDs
+ * Validate a single UUID leniently, with diagnostics for invalid input
  */
-export function batchValidate(uuids) {
-    const results = [];
+export function validateWithDiagnostics(uuid) {
+    const parsed = parseUUID(uuid);
+    const result = {
+        uuid,
+        valid: parsed.valid,
+        version: parsed.valid ? parsed.version : null,
+    };
 
-    for (const uuid of uuids) {
-        const valid = validateUUID(uuid);
-        results.push({
-            uuid,
-            valid,
-            version: valid ? getUUIDVersion(uuid) : null,
-        });
+    if (parsed.valid) {
+        result.normalized = parsed.uuid;
+    } else {
+        result.errors = parsed.errors;
     }
 
+    return result;
+}
+
+/**
+ * Batch validate UUIDs
+ */
+export function batchValidate(uuids) {
+    const results = uuids.map(uuid => validateWithDiagnostics(uuid));
+
     return {
         total: uuids.length,
         valid: results.filter(r => r.valid).length,
@@ -231,14 +560,17 @@ export function batchAnalyze(uuids) {
         valid: validCount,
         invalid: results.length - validCount,
         versionBreakdown: versionCounts,
+        hardwareMacLeaks: results.filter(r => r.node && r.node.type === 'hardware MAC').length,
         results,
     };
 }
 
 /**
- * Generate UUID statistics
+ * Generate UUID statistics, optionally with randomness tests for the v4 UUIDs
  */
-export function generateStatistics(uuids) {
+export function generateStatistics(uuids, options = {}) {
+    const { randomness = false, significanceLevel } = options;
+
     const stats = {
         total: uuids.length,
         versions: {},
@@ -270,5 +602,9 @@ export function generateStatistics(uuids) {
         }
     }
 
+    if (randomness) {
+        stats.randomness = testRandomness(uuids, { significanceLevel });
+    }
+
     return stats;
 }
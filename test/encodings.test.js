@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeUUID, encodeUUID } from '../src/encodings.js';
+
+const UUID = '01563e3a-b5d3-4676-8c61-efb99302bd5b';
+
+test('Base32 round-trips with and without a check symbol', () => {
+    assert.equal(encodeUUID(UUID, 'base32'), '01ARZ3NDEK8SV8RRFFQ69G5FAV');
+    assert.equal(encodeUUID(UUID, 'base32', { checksum: true }), '01ARZ3NDEK8SV8RRFFQ69G5FAV4');
+    assert.equal(decodeUUID('01ARZ3NDEK8SV8RRFFQ69G5FAV', 'base32'), UUID);
+    assert.equal(decodeUUID('01ARZ3NDEK8SV8RRFFQ69G5FAV4', 'base32'), UUID);
+});
+
+test('Base32 uses the extra check symbols *~$=U for remainders 32-36', () => {
+    const cases = [
+        ['00000000-0000-4000-8000-000000000024', '*'],
+        ['00000000-0000-4000-8000-000000000000', '~'],
+        ['00000000-0000-4000-8000-000000000003', 'U'],
+    ];
+
+    for (const [uuid, check] of cases) {
+        const encoded = encodeUUID(uuid, 'base32', { checksum: true });
+        assert.equal(encoded.at(-1), check);
+        assert.equal(decodeUUID(encoded, 'base32'), uuid);
+        assert.equal(decodeUUID(encoded.toLowerCase(), 'base32'), uuid);
+    }
+});
+
+test('Base32 decoding ignores hyphens and maps look-alike letters', () => {
+    assert.equal(decodeUUID('o1arz-3ndek-8sv8r-rffq6-9g5fa-v4', 'base32'), UUID);
+});
+
+test('Base32 rejects a wrong or invalid check symbol', () => {
+    assert.throws(() => decodeUUID('01ARZ3NDEK8SV8RRFFQ69G5FAV5', 'base32'), /checksum mismatch: expected '4', got '5'/);
+    assert.throws(() => decodeUUID('01ARZ3NDEK8SV8RRFFQ69G5FAV#', 'base32'), /check symbol '#' at position 27/);
+});
+
+test('decode errors point at the character as typed', () => {
+    assert.throws(() => decodeUUID('  01ARZ-3NDEK-8SV8R-RFFQ6-9G5FA-#', 'base32'), /'#' at position 33/);
+    assert.throws(() => decodeUUID(' {01563E3A-B5D3-4676-8C61-EFB99302BD5G}', 'registry'), /'G' at position 38/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateCollisionProbability } from '../src/probability.js';
+
+test('2^61 v4 UUIDs match the reference 1 - e^(-1/2)', () => {
+    const result = calculateCollisionProbability({ count: 2n ** 61n, version: 'v4' });
+
+    assert.equal(result.randomBits, 122);
+    assert.equal(result.probability, '0.39346934028736657630852021715');
+});
+
+test('a 1e-12 target allows about 3.26e12 v4 UUIDs', () => {
+    const result = calculateCollisionProbability({ targetProbability: '1e-12', version: 'v4' });
+
+    assert.equal(result.maxCount, '3260954456334');
+});
+
+test('maxCount is the largest count at or below the target', () => {
+    for (const [options, target] of [
+        [{ version: 'v4' }, 1e-12],
+        [{ version: 'v7' }, 1e-9],
+        [{ randomBits: 8 }, 0.5],
+    ]) {
+        const { maxCount } = calculateCollisionProbability({ ...options, targetProbability: String(target) });
+        const at = calculateCollisionProbability({ ...options, count: maxCount });
+        const above = calculateCollisionProbability({ ...options, count: BigInt(maxCount) + 1n });
+
+        assert.ok(Number(at.probability) <= target, `${maxCount} IDs exceed ${target}`);
+        assert.ok(Number(above.probability) > target, `${BigInt(maxCount) + 1n} IDs stay within ${target}`);
+    }
+});
+
+test('256 values reach even odds at 20 IDs, as in the birthday problem', () => {
+    const result = calculateCollisionProbability({ targetProbability: '0.5', randomBits: 8 });
+
+    assert.equal(result.maxCount, '19');
+});
+
+test('oversized counts and probabilities are rejected', () => {
+    assert.throws(() => calculateCollisionProbability({ count: '1e100000000' }), /Count is too large/);
+    assert.throws(() => calculateCollisionProbability({ targetProbability: '1e-50000000' }), /too many digits/);
+});